@@ -9,6 +9,7 @@ import { createWebSocketSync } from "./sync.js";
 
 const PLAYER_ID_KEY = "pic9upper-playerId";
 const PLAYER_NAME_KEY = "pic9upper-playerName";
+const SEAT_KEY_PREFIX = "pic9upper-seat:";
 
 /* ---------- Storage helpers ---------- */
 
@@ -26,6 +27,19 @@ function setStoredPlayerName(name) {
   localStorage.setItem(PLAYER_NAME_KEY, (name || "").trim());
 }
 
+/** Seat credentials per room: { playerId, seatToken } issued by the server */
+function getStoredSeat(roomId) {
+  try {
+    return JSON.parse(localStorage.getItem(SEAT_KEY_PREFIX + roomId)) || null;
+  } catch {
+    return null;
+  }
+}
+function setStoredSeat(roomId, seat) {
+  if (seat) localStorage.setItem(SEAT_KEY_PREFIX + roomId, JSON.stringify(seat));
+  else localStorage.removeItem(SEAT_KEY_PREFIX + roomId);
+}
+
 function getRoomIdFromPath() {
   const path = location.pathname.replace(/^\/+|\/+$/g, "");
   return path || undefined;
@@ -42,6 +56,9 @@ function main() {
   let playerId = null; // Set by server via "welcome" message, not from localStorage
   let ws = null; // WebSocket sync instance
   let hasReceivedWelcome = false; // Track if we've been welcomed to prevent premature goHome
+  let currentRoomId = null;
+  let seatRequests = []; // Host only: players asking to take over a seat
+  let serverOffset = 0; // server clock − local clock (ms), for synced countdowns
 
   const helpers = {
     getStoredPlayerName,
@@ -49,6 +66,9 @@ function main() {
     getJoinUrl,
     sendAction,
     playerId: () => playerId,
+    getStoredSeat: () => (currentRoomId ? getStoredSeat(currentRoomId) : null),
+    seatRequests: () => seatRequests,
+    serverNow: () => Date.now() + serverOffset,
   };
 
   /* ---------- Render shortcut ---------- */
@@ -73,12 +93,15 @@ function main() {
     // Close any existing connection
     if (ws) { ws.close(); ws = null; }
     pendingAction = actionOnOpen || null;
+    currentRoomId = roomId;
+    seatRequests = [];
 
     ws = createWebSocketSync(roomId, {
-      onWelcome(newPlayerId, welcomeRoomId) {
+      onWelcome(newPlayerId, welcomeRoomId, seatToken) {
         playerId = newPlayerId;
         hasReceivedWelcome = true;
         setStoredPlayerId(newPlayerId);
+        if (seatToken) setStoredSeat(welcomeRoomId, { playerId: newPlayerId, seatToken });
         // Update URL if not already there
         const currentPath = location.pathname.replace(/^\/+|\/+$/g, "");
         if (currentPath !== welcomeRoomId) {
@@ -86,7 +109,8 @@ function main() {
         }
       },
 
-      onState(session) {
+      onState(session, serverTime) {
+        if (typeof serverTime === "number") serverOffset = serverTime - Date.now();
         if (session === null) {
           // Only go home if we've already been welcomed (room was destroyed)
           // Don't go home on initial null state before onCreate completes
@@ -101,10 +125,30 @@ function main() {
         doRender();
       },
 
+      onSeatRequests(requests) {
+        seatRequests = requests;
+        doRender();
+      },
+
       onError(code, message) {
         console.warn(`[GameRoom] Error: ${code} — ${message}`);
+        // Stored seat no longer valid (seat reset by host, or player gone)
+        if (code === "bad_token" || (code === "not_found" && !hasReceivedWelcome)) {
+          setStoredSeat(roomId, null);
+        }
+        // Create hit a room ID that is already in use: back to the home screen,
+        // with the error on the create form
+        if (code === "room_exists") {
+          goHome();
+          const errEl = document.getElementById("create-error");
+          if (errEl) {
+            errEl.textContent = message;
+            errEl.style.display = "";
+          }
+          return;
+        }
         // Show error to user for join failures
-        const joinErrors = ["duplicate_name", "full", "not_found", "invalid"];
+        const joinErrors = ["duplicate_name", "full", "not_found", "invalid", "seat_pending", "seat_denied", "bad_passcode", "locked"];
         if (joinErrors.includes(code)) {
           const errEl = document.getElementById("join-error");
           if (errEl) {
@@ -128,6 +172,12 @@ function main() {
         if (pendingAction) {
           ws.send(pendingAction);
           pendingAction = null;
+          return;
+        }
+        // (Re)connect: reclaim our seat with the stored token
+        const seat = getStoredSeat(roomId);
+        if (seat?.playerId && seat?.seatToken) {
+          ws.send({ type: "rejoin", playerId: seat.playerId, seatToken: seat.seatToken });
         }
       },
     });
@@ -138,6 +188,8 @@ function main() {
   function goHome() {
     currentSession = null;
     hasReceivedWelcome = false;
+    currentRoomId = null;
+    seatRequests = [];
     if (ws) { ws.close(); ws = null; }
     history.replaceState(null, "", "/");
     doRender();
@@ -1,8 +1,8 @@
 /**
  * WebSocket client — connects to the GameRoom Durable Object.
  * Handles ping/pong keepalive and reconnection.
- * No auto-rejoin: on reconnect, server sends state and client
- * shows the "Enter Room" screen for the user to re-identify.
+ * Rejoin is driven by app.js: on (re)open it sends the stored seat token,
+ * otherwise the client shows the "Enter Room" screen to re-identify.
  */
 
 const RECONNECT_BASE_MS = 1000;
@@ -11,8 +11,9 @@ const RECONNECT_MAX_MS = 30000;
 /**
  * @param {string} roomId
  * @param {object} callbacks
- *   onState(session)    — full state update
- *   onWelcome(playerId, roomId) — connection accepted
+ *   onState(session, serverTime) — state update (serverTime: server clock, ms)
+ *   onWelcome(playerId, roomId, seatToken) — connection accepted
+ *   onSeatRequests(requests)    — (host only) pending seat takeover requests
  *   onError(code, message)      — server error
  *   onKicked()                  — kicked from room
  *   onOpen()                    — WebSocket opened
@@ -48,10 +49,13 @@ export function createWebSocketSync(roomId, callbacks = {}) {
           send({ type: "pong" });
           break;
         case "welcome":
-          callbacks.onWelcome?.(data.playerId, data.roomId);
+          callbacks.onWelcome?.(data.playerId, data.roomId, data.seatToken);
+          break;
+        case "seatRequests":
+          callbacks.onSeatRequests?.(data.requests || []);
           break;
         case "state":
-          callbacks.onState?.(data.session);
+          callbacks.onState?.(data.session, data.serverTime);
           break;
         case "error":
           callbacks.onError?.(data.code, data.message);
@@ -7,11 +7,16 @@
 import {
   Phase, Role, getPlayerAssignment, getPlayerName, isHostPlayer,
   getRoleDisplayName, getRoleColorClass, validateConfig,
-  MIN_PLAYERS, MAX_PLAYERS, DEFAULT_SCORING, getDefaultConfig,
+  MIN_PLAYERS, MAX_PLAYERS, MAX_DEALERS, MAX_TEAMS, DEFAULT_SCORING, DEFAULT_TEAM_NAMES, getDefaultConfig,
+  MAX_CUSTOM_WRONG_WORDS, MAX_CUSTOM_WORD_LENGTH,
+  getDealerIds, isDealerPlayer, getRevealSteps, isRevealStepShown, getDealerRotation,
+  getAutoRoleCounts, BOT_DIFFICULTIES,
 } from "./session.js";
 
 const DEFAULT_REVEAL_COUNTDOWN_SEC = 15;
 let revealTimerId = null;
+let deadlineTimerId = null;
+let deadlineTimerTarget = null; // deadline (ms) the running timer counts down to
 
 // Local UI state: tracks whether the word box is currently showing the word (toggle)
 let wordVisible = false;
@@ -19,12 +24,20 @@ let wordVisible = false;
 let wordSeenOnce = true;
 // Tracks whether advanced settings panel is expanded (persists across re-renders)
 let advancedSettingsExpanded = false;
-// Tracks which tab is active in the result screen ('round' or 'leaderboard')
+// Tracks which tab is active in the result screen ('round', 'leaderboard' or 'spectators')
 let resultActiveTab = 'round';
 // Tracks whether the ranking modal is open
 let rankingModalOpen = false;
 // Tracks whether the "keep scores?" confirmation modal is shown
 let showKeepScoresModal = false;
+// Word steal guess being typed (kept across re-renders while in STEAL)
+let stealDraft = "";
+// Host's custom words form being typed (kept across re-renders in LOBBY)
+let customWordsDraft = { correct: "", wrong: "", hostRole: "dealer" };
+// Word pool submission being typed (kept across re-renders in LOBBY)
+let wordPoolDraft = { correct: "", wrong: "" };
+// Difficulty picked for the next added bot
+let botDifficultyDraft = "random";
 
 /* ------------------------------------------------------------------ */
 /*  Game Status Bar — round, dealer, phase progress icons              */
@@ -46,8 +59,10 @@ function getActivePhaseIcon(session) {
       return remaining > 0 ? 'thinking' : 'chat';
     }
     case Phase.VOTE:
+    case Phase.STEAL:
       return 'choose';
     case Phase.RESULT:
+    case Phase.FINAL:
       return 'trophy';
     default:
       return null;
@@ -77,17 +92,24 @@ function renderGameStatusBar(session) {
   const roundNames = ["一", "二", "三", "四", "五", "六", "七", "八", "九", "十"];
   const roundDisplay = roundNum <= 10 ? roundNames[roundNum - 1] : roundNum;
 
-  const dealerName = session.dealerId
-    ? getPlayerName(session, session.dealerId)
+  const dealerIds = getDealerIds(session);
+  const dealerName = dealerIds.length > 0
+    ? dealerIds.map((id) => getPlayerName(session, id)).join("、")
     : null;
 
   const activeIcon = getActivePhaseIcon(session);
 
+  const { matchMode, matchTarget } = session.config || {};
+  let matchLabel = '';
+  if (matchMode === "rounds") matchLabel = ` / ${matchTarget}`;
+  else if (matchMode === "score") matchLabel = ` · 先到${matchTarget}分`;
+
   return `
     <div class="game-status-bar">
       <div class="status-info">
-        <span class="round-label">第${roundDisplay}轮</span>
+        <span class="round-label">${session.phase === Phase.FINAL ? "比赛结束" : `第${roundDisplay}轮${matchLabel}`}</span>
         ${dealerName ? `<span class="dealer-label">庄家：${escapeHtml(dealerName)}</span>` : ''}
+        ${session.moderatorId ? `<span class="dealer-label">主持人：${escapeHtml(getPlayerName(session, session.moderatorId))}</span>` : ''}
       </div>
       <div class="phase-icons">
         ${renderPhaseIcons(activeIcon)}
@@ -110,7 +132,7 @@ function renderRankingButton(isOpen) {
 }
 
 function buildLeaderboardData(session, playerId) {
-  const isResultPhase = session.phase === Phase.RESULT;
+  const isResultPhase = session.phase === Phase.RESULT && isRevealStepShown(session, "scores");
 
   let scores;
   if (isResultPhase) {
@@ -122,7 +144,7 @@ function buildLeaderboardData(session, playerId) {
       scores[pid] = (prevTotals[pid] || 0) + (roundScores[pid] || 0);
     }
   } else {
-    // Other phases: historical totals only
+    // Other phases (and a staged reveal before its scores step): historical totals only
     scores = session.totalScores || {};
   }
 
@@ -152,9 +174,12 @@ function buildLeaderboardData(session, playerId) {
  */
 function calculateRoundScoresForLeaderboard(session) {
   const scoring = session.config?.scoring || DEFAULT_SCORING;
-  const dealerId = session.dealerId;
   const roundScores = {};
 
+  if (session.config?.gameMode === "elimination") {
+    return applyAfkRule(session, addWordStealScores(session, calculateEliminationScores(session)));
+  }
+
   for (const p of session.players) {
     roundScores[p] = 0;
   }
@@ -162,7 +187,7 @@ function calculateRoundScoresForLeaderboard(session) {
   // Process normal votes
   for (const [voterId, picks] of Object.entries(session.votes || {})) {
     if (!Array.isArray(picks)) continue;
-    const voterIsDealer = voterId === dealerId;
+    const voterIsDealer = isDealerPlayer(session, voterId);
 
     for (const targetId of picks) {
       const targetRole = session.roles?.[targetId];
@@ -194,7 +219,7 @@ function calculateRoundScoresForLeaderboard(session) {
   const blankVotedTargets = new Set();
   for (const [voterId, targetId] of Object.entries(session.blankVotes || {})) {
     if (targetId == null) continue;
-    const voterIsDealer = voterId === dealerId;
+    const voterIsDealer = isDealerPlayer(session, voterId);
     const targetRole = session.roles?.[targetId];
     let voterScoreGain = 0;
 
@@ -219,11 +244,48 @@ function calculateRoundScoresForLeaderboard(session) {
     }
   }
 
+  addDealerGuessScores(session, roundScores);
+  return applyAfkRule(session, addWordStealScores(session, roundScores));
+}
+
+/** Elimination mode: the winning side scores (mirrors game.js calculateRoundScores) */
+function calculateEliminationScores(session) {
+  const scoring = session.config?.scoring || DEFAULT_SCORING;
+  const roundScores = {};
+  for (const p of session.players) {
+    const role = session.roles?.[p];
+    roundScores[p] = 0;
+    if (session.outcome === "civilians" && role === Role.CIVILIAN) {
+      roundScores[p] = scoring.civilianTeamWin ?? DEFAULT_SCORING.civilianTeamWin;
+    } else if (session.outcome === "undercovers" && (role === Role.UNDERCOVER || role === Role.BLANK)) {
+      roundScores[p] = scoring.undercoverTeamWin ?? DEFAULT_SCORING.undercoverTeamWin;
+    }
+  }
+  return roundScores;
+}
+
+/** Word steal bonus for correct guesses at the civilian word (mirrors game.js) */
+function addWordStealScores(session, roundScores) {
+  for (const [p, steal] of Object.entries(session.wordSteals || {})) {
+    if (steal.correct && p in roundScores) roundScores[p] += getStealBonus(session, p);
+  }
+  return roundScores;
+}
+
+/** AFK players' round score per config.afkRule (mirrors game.js) */
+function applyAfkRule(session, roundScores) {
+  const rule = session.config?.afkRule ?? "zero";
+  if (rule === "normal") return roundScores;
+  const penalty = rule === "penalty" ? (session.config?.scoring?.afkPenalty ?? DEFAULT_SCORING.afkPenalty) : 0;
+  for (const p of session.afk || []) {
+    if (p in roundScores) roundScores[p] = -penalty;
+  }
   return roundScores;
 }
 
 function renderRankingModal(session, playerId) {
   const entries = buildLeaderboardData(session, playerId);
+  const teamTable = isTeamMode(session) ? renderTeamLeaderboard(buildTeamLeaderboard(session, entries), false) : '';
 
   return `
     <div class="ranking-overlay" data-action="close-ranking"></div>
@@ -232,6 +294,7 @@ function renderRankingModal(session, playerId) {
         <h2>排行榜</h2>
         <button class="ranking-close-btn" data-action="close-ranking">&times;</button>
       </div>
+      ${teamTable}
       <table class="leaderboard-table">
         <thead>
           <tr>
@@ -250,6 +313,146 @@ function renderRankingModal(session, playerId) {
           `).join('')}
         </tbody>
       </table>
+      ${renderRoleHistory(session, playerId)}
+    </div>
+  `;
+}
+
+/** Roles dealt to each seated player so far (session.roleHistory) */
+function renderRoleHistory(session, playerId) {
+  const history = session.roleHistory || {};
+  const players = session.players.filter((p) => history[p]);
+  if (players.length === 0) return '';
+  const roles = [Role.CIVILIAN, Role.UNDERCOVER, Role.BLANK, Role.DEALER];
+  return `
+    <div class="role-history">
+      <h3>角色记录</h3>
+      <table class="leaderboard-table role-history-table">
+        <thead>
+          <tr>
+            <th class="col-name">玩家</th>
+            ${roles.map((role) => `<th class="col-round">${getRoleDisplayName(role)}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${players.map((p) => `
+            <tr class="${p === playerId ? 'you' : ''}">
+              <td class="col-name">${escapeHtml(getPlayerName(session, p))}</td>
+              ${roles.map((role) => `<td class="col-round">${history[p][role] || 0}</td>`).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Seat takeover requests (host only)                                 */
+/* ------------------------------------------------------------------ */
+
+/* ------------------------------------------------------------------ */
+/*  Teams                                                              */
+/* ------------------------------------------------------------------ */
+
+function isTeamMode(session) {
+  return (session.config?.teamCount ?? 0) >= 2;
+}
+
+function getTeamName(session, team) {
+  return session.teamNames?.[team] ?? DEFAULT_TEAM_NAMES[team] ?? `队伍${Number(team) + 1}`;
+}
+
+/** Team standings from per-player leaderboard entries ({ id, totalScore, roundScore?, isYou }) */
+function buildTeamLeaderboard(session, entries) {
+  const teams = [];
+  for (let t = 0; t < session.config.teamCount; t++) {
+    const members = entries.filter((e) => session.teams?.[e.id] === t);
+    teams.push({
+      team: t,
+      name: getTeamName(session, t),
+      totalScore: members.reduce((sum, e) => sum + e.totalScore, 0),
+      roundScore: members.reduce((sum, e) => sum + (e.roundScore || 0), 0),
+      isYou: members.some((e) => e.isYou),
+    });
+  }
+
+  teams.sort((a, b) => b.totalScore - a.totalScore);
+  let currentRank = 1;
+  for (let i = 0; i < teams.length; i++) {
+    if (i > 0 && teams[i].totalScore < teams[i - 1].totalScore) {
+      currentRank = i + 1;
+    }
+    teams[i].rank = currentRank;
+  }
+  return teams;
+}
+
+function renderTeamLeaderboard(teams, showRound) {
+  return `
+    <table class="leaderboard-table team-leaderboard">
+      <thead>
+        <tr>
+          <th class="col-rank">排名</th>
+          <th class="col-name">队伍</th>
+          ${showRound ? '<th class="col-round">本局</th>' : ''}
+          <th class="col-total">总分</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${teams.map((t) => `
+          <tr class="${t.isYou ? 'you' : ''}">
+            <td class="col-rank">${t.rank}</td>
+            <td class="col-name">${escapeHtml(t.name)}</td>
+            ${showRound ? `<td class="col-round">${t.roundScore !== 0 ? `<span class="round-score">${t.roundScore > 0 ? '+' : ''}${t.roundScore}</span>` : '-'}</td>` : ''}
+            <td class="col-total">${t.totalScore}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/** Lobby: players grouped by team; the host can move players and rename teams */
+function renderTeamPanel(session, playerId, iAmHost) {
+  const teamCount = session.config.teamCount;
+  const columns = [];
+  for (let t = 0; t < teamCount; t++) {
+    const members = session.players.filter((p) => session.teams?.[p] === t);
+    columns.push(`
+      <div class="team-column">
+        ${iAmHost
+          ? `<input type="text" class="input team-name-input" maxlength="12" value="${escapeHtml(getTeamName(session, t))}" data-team-name="${t}" />`
+          : `<div class="team-name">${escapeHtml(getTeamName(session, t))}</div>`}
+        ${members.map((p) => `
+          <div class="team-member ${p === playerId ? "you" : ""}">
+            <span>${escapeHtml(getPlayerName(session, p))}</span>
+            ${iAmHost ? `
+              <select class="team-select" data-set-team="${p}">
+                ${Array.from({ length: teamCount }, (_, i) => `<option value="${i}" ${i === t ? "selected" : ""}>${escapeHtml(getTeamName(session, i))}</option>`).join("")}
+              </select>
+            ` : ""}
+          </div>
+        `).join("") || '<div class="hint">暂无队员</div>'}
+      </div>
+    `);
+  }
+  return `<div class="team-panel">${columns.join("")}</div>`;
+}
+
+function renderSeatRequests(requests) {
+  if (!requests || requests.length === 0) return '';
+  return `
+    <div class="seat-requests">
+      ${requests.map((r) => `
+        <div class="seat-request">
+          <span class="seat-request-text">有人请求接管「${escapeHtml(r.name)}」的座位</span>
+          <div class="seat-request-actions">
+            <button class="btn-text" data-action="deny-seat" data-target="${r.playerId}">拒绝</button>
+            <button class="btn-text" data-action="approve-seat" data-target="${r.playerId}">批准</button>
+          </div>
+        </div>
+      `).join('')}
     </div>
   `;
 }
@@ -315,12 +518,32 @@ export function render(session, playerId, sendAction, helpers = {}) {
     showKeepScoresModal = false;
   }
 
+  // Drop the typed word-steal guess when leaving STEAL
+  if (phase !== Phase.STEAL) {
+    stealDraft = "";
+  }
+
   // Clean up reveal countdown when leaving REVEAL phase
   if (phase !== Phase.REVEAL && revealTimerId) {
     clearInterval(revealTimerId);
     revealTimerId = null;
   }
 
+  // Clean up the phase countdown once the current phase has no deadline
+  if (!getPhaseDeadline(session)) {
+    stopDeadlineTimer();
+  }
+
+  // Spectators get a read-only view of the game plus predictions
+  if (session.spectators?.includes(playerId)) {
+    const statusBar = phase !== Phase.LOBBY ? renderGameStatusBar(session) : '';
+    root.innerHTML = topBarBg + homeBtn + statusBar + renderSpectator(session, playerId, helpers);
+    root.classList.add('with-status-bar');
+    attachListeners(root, playerId, sendAction, helpers, session);
+    startDeadlineTimer(session, helpers);
+    return;
+  }
+
   // Player not in this game? Show unified "Enter Room" screen.
   // Works for both LOBBY (new join) and non-LOBBY (reconnect by name).
   const isInGame = session.players.includes(playerId);
@@ -333,25 +556,32 @@ export function render(session, playerId, sendAction, helpers = {}) {
   }
 
   let screenHtml;
+  const isModerator = !!session.moderatorId && playerId === session.moderatorId;
   switch (phase) {
     case Phase.LOBBY:
       screenHtml = renderLobby(session, playerId, sendAction, helpers);
       break;
     case Phase.DEAL:
-      screenHtml = renderDeal(session, playerId, assignment);
+      screenHtml = isModerator ? renderModerator(session, playerId, helpers) : renderDeal(session, playerId, assignment, helpers);
       break;
     case Phase.PLAY:
-      screenHtml = renderPlay(session, playerId);
+      screenHtml = renderPlay(session, playerId, helpers);
       break;
     case Phase.REVEAL:
       screenHtml = renderReveal(session, playerId);
       break;
     case Phase.VOTE:
-      screenHtml = renderVote(session, playerId);
+      screenHtml = isModerator ? renderModerator(session, playerId, helpers) : renderVote(session, playerId, helpers);
+      break;
+    case Phase.STEAL:
+      screenHtml = isModerator ? renderModerator(session, playerId, helpers) : renderSteal(session, playerId);
       break;
     case Phase.RESULT:
       screenHtml = renderResult(session, playerId);
       break;
+    case Phase.FINAL:
+      screenHtml = renderFinal(session, playerId);
+      break;
     default:
       screenHtml = `<div class="screen"><p>Unknown phase: ${phase}</p></div>`;
   }
@@ -361,13 +591,15 @@ export function render(session, playerId, sendAction, helpers = {}) {
   const rankingBtn = showRanking ? renderRankingButton(rankingModalOpen) : '';
   const rankingModal = (showRanking && rankingModalOpen) ? renderRankingModal(session, playerId) : '';
   const keepScoresModal = showKeepScoresModal ? renderKeepScoresModal() : '';
-  root.innerHTML = topBarBg + homeBtn + statusBar + rankingBtn + screenHtml + rankingModal + keepScoresModal;
+  const seatRequests = isHostPlayer(session, playerId) ? renderSeatRequests(helpers.seatRequests?.()) : '';
+  root.innerHTML = topBarBg + homeBtn + statusBar + rankingBtn + seatRequests + screenHtml + rankingModal + keepScoresModal;
 
   // Always add class when in a session (home button + optional status bar present)
   // This ensures content is not hidden behind the fixed top bar
   root.classList.add('with-status-bar');
 
   attachListeners(root, playerId, sendAction, helpers, session);
+  startDeadlineTimer(session, helpers);
 
   // Start countdown timer for REVEAL phase
   if (phase === Phase.REVEAL && session.revealStartTime && !revealTimerId) {
@@ -395,6 +627,51 @@ export function render(session, playerId, sendAction, helpers = {}) {
   }
 }
 
+/* ------------------------------------------------------------------ */
+/*  Phase timers — deadlines are set by the server, counted on server time */
+/* ------------------------------------------------------------------ */
+
+/** DEAL/PLAY share one window (dealDeadline); VOTE has its own */
+function getPhaseDeadline(session) {
+  if (session.phase === Phase.VOTE) return session.voteDeadline ?? null;
+  if (session.phase === Phase.DEAL || session.phase === Phase.PLAY) return session.dealDeadline ?? null;
+  return null;
+}
+
+function deadlineSecondsLeft(deadline, helpers) {
+  const now = helpers.serverNow?.() ?? Date.now();
+  return Math.max(0, Math.ceil((deadline - now) / 1000));
+}
+
+function renderDeadlineTimer(session, helpers) {
+  const deadline = getPhaseDeadline(session);
+  if (!deadline) return "";
+  const note = session.phase === Phase.VOTE ? "超时自动提交当前选择" : "超时将强制继续";
+  return `<p class="deadline-timer">剩余 <span id="deadline-countdown">${deadlineSecondsLeft(deadline, helpers)}</span> 秒，${note}</p>`;
+}
+
+function startDeadlineTimer(session, helpers) {
+  const deadline = getPhaseDeadline(session);
+  if (deadline === deadlineTimerTarget && deadlineTimerId) return;
+  stopDeadlineTimer();
+  if (!deadline) return;
+
+  deadlineTimerTarget = deadline;
+  deadlineTimerId = setInterval(() => {
+    const remaining = deadlineSecondsLeft(deadline, helpers);
+    const el = document.getElementById("deadline-countdown");
+    if (el) el.textContent = remaining;
+    // The server acts at the deadline and pushes the new state
+    if (remaining <= 0) stopDeadlineTimer();
+  }, 500);
+}
+
+function stopDeadlineTimer() {
+  if (deadlineTimerId) clearInterval(deadlineTimerId);
+  deadlineTimerId = null;
+  deadlineTimerTarget = null;
+}
+
 function renderHome(helpers) {
   const storedName = helpers.getStoredPlayerName?.() ?? "";
   const urlRoomId = location.pathname.replace(/^\/+|\/+$/g, "") || "";
@@ -415,9 +692,15 @@ function renderHome(helpers) {
         <p id="capacity-error" class="hint error" style="display:none"></p>
       </div>
 
+      <div class="form-group">
+        <label for="room-passcode">房间密码 (可选)</label>
+        <input type="text" id="room-passcode" class="input" placeholder="留空则无需密码" maxlength="20" autocomplete="off" />
+      </div>
+
       <div class="form-row">
         <button class="btn primary" data-action="create">创建房间</button>
       </div>
+      <p id="create-error" class="hint error" style="display:none"></p>
 
       <div class="divider">
         <span>或</span>
@@ -441,6 +724,10 @@ function renderLobby(session, playerId, sendAction, helpers) {
   const capacity = config.capacity;
   const joinUrl = helpers.getJoinUrl?.(session.id) ?? "";
 
+  // Manual dealer rotation: the host picks next round's dealers on the seats
+  const pickingDealers = getDealerRotation(config) === "manual" && config.dealerCount > 0;
+  const dealerPicks = session.dealerPicks || [];
+
   // Build seats array
   const seats = [];
   for (let i = 0; i < capacity; i++) {
@@ -452,19 +739,26 @@ function renderLobby(session, playerId, sendAction, helpers) {
         name: getPlayerName(session, pid),
         isYou: pid === playerId,
         canKick: iAmHost && pid !== playerId,
+        botDifficulty: pid.startsWith("bot-") ? session.botDifficulty?.[pid] ?? "random" : null,
+        canPickDealer: iAmHost && pickingDealers,
+        dealerPick: pickingDealers && dealerPicks.includes(pid),
       });
     } else {
       seats.push({ occupied: false });
     }
   }
 
-  const canStart = iAmHost && count === capacity;
-  const statusHint = count < capacity
+  // With auto roles the host can start as soon as MIN_PLAYERS are seated
+  const enoughPlayers = config.autoRoles ? count >= MIN_PLAYERS : count === capacity;
+  const canStart = iAmHost && enoughPlayers;
+  const statusHint = !enoughPlayers
     ? `等待玩家加入 (${count}/${capacity})`
-    : `准备开始 (${count}名玩家)`;
+    : count < capacity
+      ? `可以开始 (${count}/${capacity}名玩家)`
+      : `准备开始 (${count}名玩家)`;
 
   // Config panel only for host
-  const configPanel = iAmHost ? renderConfigPanel(config) : "";
+  const configPanel = iAmHost ? renderConfigPanel(config, count) : "";
 
   return `
     <div class="screen lobby">
@@ -480,18 +774,103 @@ function renderLobby(session, playerId, sendAction, helpers) {
       <div class="seats-grid">
         ${seats.map((seat, i) => renderSeat(seat, i)).join("")}
       </div>
+      ${iAmHost && pickingDealers ? `
+        <p class="hint">点击座位上的 👑 指定下一局的庄家（${dealerPicks.length}/${config.dealerCount}，未指定的按座位顺序轮换）</p>
+      ` : ""}
+
+      ${isTeamMode(session) ? renderTeamPanel(session, playerId, iAmHost) : ""}
 
       ${configPanel}
 
+      ${iAmHost
+        ? renderCustomWordsPanel(session)
+        : (session.hasCustomWords ? '<p class="hint">房主已设定下一局的词语</p>' : "")}
+
+      ${session.players.includes(playerId) ? renderWordPoolPanel(session, playerId) : ""}
+
       <p class="hint">${statusHint}</p>
       <div id="config-error" class="hint error" style="display:none"></div>
 
       ${canStart ? '<button class="btn primary" data-action="start">开始游戏</button>' : ""}
-      ${iAmHost && count < capacity ? '<button class="btn secondary dev-btn" data-action="add-bot">+ 添加测试玩家</button>' : ""}
+      ${iAmHost && count < capacity ? `
+        <div class="add-bot-row">
+          <select class="scoring-input afk-select" data-bot-difficulty>
+            ${BOT_DIFFICULTIES.map((d) => `
+              <option value="${d}" ${botDifficultyDraft === d ? "selected" : ""}>${BOT_DIFFICULTY_LABELS[d]}</option>
+            `).join("")}
+          </select>
+          <button class="btn secondary dev-btn" data-action="add-bot">+ 添加测试玩家</button>
+        </div>
+      ` : ""}
     </div>
   `;
 }
 
+/** Host-only form for the next deal's words; once set they are shown back to the host only */
+function renderCustomWordsPanel(session) {
+  const custom = session.customWords;
+  const hostRoleLabel = (role) => (role === "moderator" ? "房主做主持人（不参与）" : "房主做庄家");
+
+  if (custom) {
+    return `
+      <div class="custom-words-panel">
+        <h3>自定义词语</h3>
+        <p class="hint">平民词：${escapeHtml(custom.correct)}</p>
+        <p class="hint">卧底词：${escapeHtml(custom.wrong.join("、"))}</p>
+        <p class="hint">${hostRoleLabel(custom.hostRole)} · 只用于下一局，其他人看不到</p>
+        <button class="btn-text" data-action="clear-custom-words">清除</button>
+      </div>
+    `;
+  }
+
+  return `
+    <div class="custom-words-panel">
+      <h3>自定义词语</h3>
+      <input type="text" class="input" maxlength="${MAX_CUSTOM_WORD_LENGTH}" placeholder="平民词" value="${escapeHtml(customWordsDraft.correct)}" data-custom-words="correct" />
+      <input type="text" class="input" placeholder="卧底词（最多${MAX_CUSTOM_WRONG_WORDS}个，用逗号或空格分隔）" value="${escapeHtml(customWordsDraft.wrong)}" data-custom-words="wrong" />
+      <select class="input" data-custom-words="hostRole">
+        ${["dealer", "moderator"].map((role) => `
+          <option value="${role}" ${customWordsDraft.hostRole === role ? "selected" : ""}>${hostRoleLabel(role)}</option>
+        `).join("")}
+      </select>
+      <button class="btn secondary" data-action="set-custom-words">用于下一局</button>
+    </div>
+  `;
+}
+
+/** Every player can put one word group in the pool; only their own is shown back to them */
+function renderWordPoolPanel(session, playerId) {
+  const mine = session.wordPool?.[playerId];
+  const poolHint = `词库中共有 ${session.wordPoolSize || 0} 组投稿 · 抽中你的词时你来做庄家或主持人`;
+
+  if (mine) {
+    return `
+      <div class="custom-words-panel">
+        <h3>我的投稿</h3>
+        <p class="hint">平民词：${escapeHtml(mine.correct)}</p>
+        <p class="hint">卧底词：${escapeHtml(mine.wrong.join("、"))}</p>
+        <p class="hint">${poolHint}</p>
+        <button class="btn-text" data-action="withdraw-pool-words">撤回</button>
+      </div>
+    `;
+  }
+
+  return `
+    <div class="custom-words-panel">
+      <h3>投稿词语</h3>
+      <input type="text" class="input" maxlength="${MAX_CUSTOM_WORD_LENGTH}" placeholder="平民词" value="${escapeHtml(wordPoolDraft.correct)}" data-word-pool="correct" />
+      <input type="text" class="input" placeholder="卧底词（最多${MAX_CUSTOM_WRONG_WORDS}个，用逗号或空格分隔）" value="${escapeHtml(wordPoolDraft.wrong)}" data-word-pool="wrong" />
+      <p class="hint">${poolHint}</p>
+      <button class="btn secondary" data-action="submit-pool-words">投稿</button>
+    </div>
+  `;
+}
+
+/** Split a typed list of undercover words (commas, 、 or spaces) */
+function parseWordList(text) {
+  return text.split(/[,，、\s]+/).filter(Boolean).slice(0, MAX_CUSTOM_WRONG_WORDS);
+}
+
 function renderSeat(seat, index) {
   if (!seat.occupied) {
     return `
@@ -509,14 +888,82 @@ function renderSeat(seat, index) {
         ${escapeHtml(seat.name)}
         ${seat.isYou ? " (你)" : ""}
       </div>
+      ${seat.botDifficulty ? `<div class="seat-bot-difficulty">${BOT_DIFFICULTY_LABELS[seat.botDifficulty]}</div>` : ""}
       ${seat.canKick ? `<button class="btn-kick" data-action="kick" data-target="${seat.playerId}" title="移除玩家">✕</button>` : ""}
+      ${seat.canPickDealer ? `
+        <button class="btn-pick-dealer ${seat.dealerPick ? "picked" : ""}" data-action="pick-dealer" data-target="${seat.playerId}" title="指定为下一局庄家">👑</button>
+      ` : seat.dealerPick ? '<span class="btn-pick-dealer picked">👑</span>' : ""}
+    </div>
+  `;
+}
+
+/**
+ * config.autoRoles: preview of the split the server will deal to the players
+ * seated now (and to a full room), plus the host's undercover/blank overrides
+ */
+function renderAutoRoles(config, playerCount) {
+  const count = Math.max(playerCount, MIN_PLAYERS);
+  const describe = (n) => {
+    const split = getAutoRoleCounts(config, n);
+    return [
+      split.dealerCount > 0 ? `庄家 ${split.dealerCount}` : "",
+      `平民 ${split.civilianCount}`,
+      `卧底 ${split.undercoverCount}`,
+      `白板 ${split.blankCount}`,
+    ].filter(Boolean).join(" · ");
+  };
+  const table = getAutoRoleCounts({ ...config, roleOverrides: {} }, count);
+  const overrideSelect = (key, value, auto) => `
+    <select data-config="${key}" class="scoring-input afk-select">
+      <option value="" ${value == null ? "selected" : ""}>自动 (${auto})</option>
+      ${Array.from({ length: config.capacity }, (_, n) => `
+        <option value="${n}" ${value === n ? "selected" : ""}>${n}</option>
+      `).join("")}
+    </select>
+  `;
+
+  return `
+    <div class="auto-roles">
+      <p class="auto-roles-preview">${count} 人：${describe(count)}</p>
+      ${count < config.capacity ? `<p class="hint">满员 ${config.capacity} 人：${describe(config.capacity)}</p>` : ""}
+      <div class="config-row">
+        <label>卧底</label>
+        ${overrideSelect("roleOverrideUndercover", config.roleOverrides?.undercover, table.undercoverCount)}
+      </div>
+      <div class="config-row">
+        <label>白板</label>
+        ${overrideSelect("roleOverrideBlank", config.roleOverrides?.blank, table.blankCount)}
+      </div>
     </div>
   `;
 }
 
-function renderConfigPanel(config) {
+const BOT_DIFFICULTY_LABELS = {
+  random: "随机",
+  heuristic: "智能",
+  cheat: "作弊（全知）",
+};
+
+const DEALER_ROTATION_LABELS = {
+  random: "随机",
+  seat: "按座位顺序",
+  fewest: "当庄次数最少优先",
+  cycle: "随机不重复（轮完一圈再重来）",
+  score: "总分最低当庄",
+  manual: "房主指定",
+};
+
+const TIE_BREAK_LABELS = {
+  none: "保持平票",
+  runoff: "平票玩家决胜投票",
+  dealer: "庄家决定（无庄家或庄家平票时随机）",
+  random: "随机决定",
+};
+
+function renderConfigPanel(config, playerCount = config.capacity) {
   const cap = config.capacity;
   const scoring = config.scoring || DEFAULT_SCORING;
+  const elimination = config.gameMode === "elimination";
 
   return `
     <div class="config-panel">
@@ -529,43 +976,59 @@ function renderConfigPanel(config) {
       </div>
 
       <div class="config-toggles" style="margin-bottom: 0.75rem;">
-        <label class="toggle-label">
-          <input type="checkbox" data-config="dealerToggle" ${config.dealerCount === 1 ? "checked" : ""} />
+        <label class="toggle-label${elimination ? " disabled" : ""}">
+          <input type="checkbox" data-config="dealerToggle" ${config.dealerCount > 0 ? "checked" : ""} ${elimination ? "disabled" : ""} />
           有庄家
         </label>
+        <label class="toggle-label">
+          <input type="checkbox" data-config="eliminationToggle" ${elimination ? "checked" : ""} />
+          淘汰模式
+        </label>
+        <label class="toggle-label">
+          <input type="checkbox" data-config="autoRoles" ${config.autoRoles ? "checked" : ""} />
+          按人数自动分配角色
+        </label>
       </div>
 
-      <div class="config-row">
-        <label>平民 (1+)</label>
-        <div class="config-control">
-          <input type="range" min="1" max="${cap - 1}" value="${config.civilianCount}" data-config="civilianCount" class="slider" />
-          <input type="number" min="1" max="${cap - 1}" value="${config.civilianCount}" data-config="civilianCount" class="numeric" />
+      ${config.dealerCount > 0 ? `
+        <div class="config-row">
+          <label>庄家</label>
+          <div class="config-control">
+            <input type="range" min="1" max="${MAX_DEALERS}" value="${config.dealerCount}" data-config="dealerCount" class="slider" />
+            <input type="number" min="1" max="${MAX_DEALERS}" value="${config.dealerCount}" data-config="dealerCount" class="numeric" />
+          </div>
         </div>
-      </div>
+      ` : ""}
 
-      <div class="config-row">
-        <label>卧底</label>
-        <div class="config-control">
-          <input type="range" min="0" max="${cap - 1}" value="${config.undercoverCount}" data-config="undercoverCount" class="slider" />
-          <input type="number" min="0" max="${cap - 1}" value="${config.undercoverCount}" data-config="undercoverCount" class="numeric" />
+      ${config.autoRoles ? renderAutoRoles(config, playerCount) : `
+        <div class="config-row">
+          <label>平民 (1+)</label>
+          <div class="config-control">
+            <input type="range" min="1" max="${cap - 1}" value="${config.civilianCount}" data-config="civilianCount" class="slider" />
+            <input type="number" min="1" max="${cap - 1}" value="${config.civilianCount}" data-config="civilianCount" class="numeric" />
+          </div>
         </div>
-      </div>
 
-      <div class="config-row">
-        <label>白板</label>
-        <div class="config-control">
-          <input type="range" min="0" max="${cap - 1}" value="${config.blankCount}" data-config="blankCount" class="slider" />
-          <input type="number" min="0" max="${cap - 1}" value="${config.blankCount}" data-config="blankCount" class="numeric" />
+        <div class="config-row">
+          <label>卧底</label>
+          <div class="config-control">
+            <input type="range" min="0" max="${cap - 1}" value="${config.undercoverCount}" data-config="undercoverCount" class="slider" />
+            <input type="number" min="0" max="${cap - 1}" value="${config.undercoverCount}" data-config="undercoverCount" class="numeric" />
+          </div>
         </div>
-      </div>
+
+        <div class="config-row">
+          <label>白板</label>
+          <div class="config-control">
+            <input type="range" min="0" max="${cap - 1}" value="${config.blankCount}" data-config="blankCount" class="slider" />
+            <input type="number" min="0" max="${cap - 1}" value="${config.blankCount}" data-config="blankCount" class="numeric" />
+          </div>
+        </div>
+      `}
 
       <div class="advanced-settings" style="display: ${advancedSettingsExpanded ? "block" : "none"};">
         <h4>游戏设置</h4>
         <div class="config-toggles" style="margin-bottom: 0.75rem; margin-top: 0; padding-top: 0; border-top: none;">
-          <label class="toggle-label${config.dealerCount === 0 ? " disabled" : ""}">
-            <input type="checkbox" data-config="dealerRotation" ${config.dealerRotation ? "checked" : ""} ${config.dealerCount === 0 ? "disabled" : ""} />
-            庄家轮换
-          </label>
           <label class="toggle-label">
             <input type="checkbox" data-config="differentUndercoverWords" ${config.differentUndercoverWords ? "checked" : ""} />
             卧底不同词
@@ -574,13 +1037,21 @@ function renderConfigPanel(config) {
             <input type="checkbox" data-config="dealerCanVoteBlank" ${config.dealerCanVoteBlank ? "checked" : ""} ${config.dealerCount === 0 ? "disabled" : ""} />
             庄家可选白板
           </label>
-          <label class="toggle-label">
-            <input type="checkbox" data-config="playerCanVoteBlank" ${config.playerCanVoteBlank ? "checked" : ""} />
+          <label class="toggle-label${elimination ? " disabled" : ""}">
+            <input type="checkbox" data-config="playerCanVoteBlank" ${config.playerCanVoteBlank ? "checked" : ""} ${elimination ? "disabled" : ""} />
             玩家可选白板
           </label>
         </div>
         <div class="scoring-rules">
-          <div class="scoring-rule" style="display: ${config.dealerCount === 1 ? "flex" : "none"};">
+          <div class="scoring-rule" style="display: ${config.dealerCount > 0 ? "flex" : "none"};">
+            <label>庄家轮换</label>
+            <select data-config="dealerRotation" class="scoring-input afk-select">
+              ${Object.entries(DEALER_ROTATION_LABELS).map(([value, label]) => `
+                <option value="${value}" ${getDealerRotation(config) === value ? "selected" : ""}>${label}</option>
+              `).join("")}
+            </select>
+          </div>
+          <div class="scoring-rule" style="display: ${config.dealerCount > 0 ? "flex" : "none"};">
             <label>庄家投票数</label>
             <input type="number" min="1" max="5" value="${config.dealerVoteCount ?? 2}" data-config="dealerVoteCount" class="scoring-input" />
             <span>票</span>
@@ -590,11 +1061,91 @@ function renderConfigPanel(config) {
             <input type="number" min="5" max="60" value="${config.revealCountdown ?? 15}" data-config="revealCountdown" class="scoring-input" />
             <span>秒</span>
           </div>
+          <div class="scoring-rule">
+            <label>投票时限 (0 为不限)</label>
+            <input type="number" min="0" max="300" value="${config.voteTimeLimit ?? 0}" data-config="voteTimeLimit" class="scoring-input" />
+            <span>秒</span>
+          </div>
+          <div class="scoring-rule">
+            <label>放牌时限 (0 为不限)</label>
+            <input type="number" min="0" max="600" value="${config.dealTimeLimit ?? 0}" data-config="dealTimeLimit" class="scoring-input" />
+            <span>秒</span>
+          </div>
+          <div class="scoring-rule">
+            <label>挂机玩家本轮</label>
+            <select data-config="afkRule" class="scoring-input afk-select">
+              <option value="normal" ${config.afkRule === "normal" ? "selected" : ""}>正常计分</option>
+              <option value="zero" ${(config.afkRule ?? "zero") === "zero" ? "selected" : ""}>不得分</option>
+              <option value="penalty" ${config.afkRule === "penalty" ? "selected" : ""}>扣分</option>
+            </select>
+          </div>
+          <div class="scoring-rule">
+            <label>比赛模式</label>
+            <select data-config="matchMode" class="scoring-input afk-select">
+              <option value="off" ${(config.matchMode ?? "off") === "off" ? "selected" : ""}>不限轮数</option>
+              <option value="rounds" ${config.matchMode === "rounds" ? "selected" : ""}>固定轮数</option>
+              <option value="score" ${config.matchMode === "score" ? "selected" : ""}>先到分数</option>
+            </select>
+          </div>
+          <div class="scoring-rule" style="display: ${(config.matchMode ?? "off") !== "off" ? "flex" : "none"};">
+            <label>${config.matchMode === "score" ? "目标分数" : "比赛轮数"}</label>
+            <input type="number" min="1" max="100" value="${config.matchTarget ?? 5}" data-config="matchTarget" class="scoring-input" />
+            <span>${config.matchMode === "score" ? "分" : "轮"}</span>
+          </div>
+          <div class="scoring-rule">
+            <label>队伍模式</label>
+            <select data-config="teamCount" class="scoring-input afk-select">
+              <option value="0" ${(config.teamCount ?? 0) < 2 ? "selected" : ""}>不分队</option>
+              ${Array.from({ length: MAX_TEAMS - 1 }, (_, i) => i + 2).map((n) => `
+                <option value="${n}" ${config.teamCount === n ? "selected" : ""}>${n} 队</option>
+              `).join("")}
+            </select>
+          </div>
+          <div class="scoring-rule" style="display: ${(config.teamCount ?? 0) >= 2 ? "flex" : "none"};">
+            <label class="toggle-label">
+              <input type="checkbox" data-config="balanceTeamRoles" ${config.balanceTeamRoles ? "checked" : ""} />
+              各队角色均衡
+            </label>
+          </div>
+          <div class="scoring-rule">
+            <label class="toggle-label">
+              <input type="checkbox" data-config="balanceRoles" ${config.balanceRoles ? "checked" : ""} />
+              角色均衡（少当过卧底/白板的玩家更可能当）
+            </label>
+          </div>
+          <div class="scoring-rule">
+            <label>投票后猜词</label>
+            <select data-config="wordSteal" class="scoring-input afk-select">
+              <option value="off" ${(config.wordSteal ?? "off") === "off" ? "selected" : ""}>关闭</option>
+              <option value="undercover" ${config.wordSteal === "undercover" ? "selected" : ""}>卧底猜词</option>
+              <option value="all" ${config.wordSteal === "all" ? "selected" : ""}>卧底和白板猜词</option>
+            </select>
+          </div>
+          <div class="scoring-rule">
+            <label class="toggle-label">
+              <input type="checkbox" data-config="openVoting" ${config.openVoting ? "checked" : ""} />
+              公开投票（实时显示谁投了谁）
+            </label>
+          </div>
+          <div class="scoring-rule">
+            <label class="toggle-label">
+              <input type="checkbox" data-config="stagedReveal" ${config.stagedReveal ? "checked" : ""} />
+              逐步揭晓结果（房主依次揭晓身份、词语、投票和得分）
+            </label>
+          </div>
+          <div class="scoring-rule">
+            <label>得票平局时</label>
+            <select data-config="tieBreak" class="scoring-input afk-select">
+              ${Object.entries(TIE_BREAK_LABELS).map(([value, label]) => `
+                <option value="${value}" ${(config.tieBreak ?? "none") === value ? "selected" : ""}>${label}</option>
+              `).join("")}
+            </select>
+          </div>
         </div>
 
         <h4>计分规则</h4>
         <div class="scoring-rules">
-          <div class="dealer-scoring-rules" style="display: ${config.dealerCount === 1 ? "block" : "none"};">
+          <div class="dealer-scoring-rules" style="display: ${config.dealerCount > 0 ? "block" : "none"};">
             <div class="scoring-rule">
               <label>庄家投对平民，庄家得</label>
               <input type="number" min="0" max="10" value="${scoring.dealerCorrectCivilian}" data-scoring="dealerCorrectCivilian" class="scoring-input" />
@@ -620,27 +1171,67 @@ function renderConfigPanel(config) {
               <input type="number" min="0" max="10" value="${scoring.dealerCorrectBlank}" data-scoring="dealerCorrectBlank" class="scoring-input" />
               <span>分</span>
             </div>
+            <div class="scoring-rule">
+              <label>庄家猜中一名平民，庄家得</label>
+              <input type="number" min="0" max="10" value="${scoring.dealerGuessCivilian ?? DEFAULT_SCORING.dealerGuessCivilian}" data-scoring="dealerGuessCivilian" class="scoring-input" />
+              <span>分</span>
+            </div>
+            <div class="scoring-rule">
+              <label>庄家猜出全部平民，另得</label>
+              <input type="number" min="0" max="10" value="${scoring.dealerGuessAllCivilians ?? DEFAULT_SCORING.dealerGuessAllCivilians}" data-scoring="dealerGuessAllCivilians" class="scoring-input" />
+              <span>分</span>
+            </div>
+          </div>
+          <div class="scoring-rule" style="display: ${elimination ? "flex" : "none"};">
+            <label>淘汰模式平民胜利，每位平民得</label>
+            <input type="number" min="0" max="10" value="${scoring.civilianTeamWin ?? DEFAULT_SCORING.civilianTeamWin}" data-scoring="civilianTeamWin" class="scoring-input" />
+            <span>分</span>
           </div>
-          <div class="scoring-rule" style="display: ${config.playerCanVoteBlank ? "flex" : "none"};">
+          <div class="scoring-rule" style="display: ${elimination ? "flex" : "none"};">
+            <label>淘汰模式卧底胜利，每位卧底/白板得</label>
+            <input type="number" min="0" max="10" value="${scoring.undercoverTeamWin ?? DEFAULT_SCORING.undercoverTeamWin}" data-scoring="undercoverTeamWin" class="scoring-input" />
+            <span>分</span>
+          </div>
+          <div class="scoring-rule" style="display: ${config.playerCanVoteBlank && !elimination ? "flex" : "none"};">
             <label>玩家选对白板，得</label>
             <input type="number" min="0" max="10" value="${scoring.playerCorrectBlank}" data-scoring="playerCorrectBlank" class="scoring-input" />
             <span>分</span>
           </div>
-          <div class="scoring-rule" style="display: ${config.dealerCanVoteBlank || config.playerCanVoteBlank ? "flex" : "none"};">
+          <div class="scoring-rule" style="display: ${(config.dealerCanVoteBlank || config.playerCanVoteBlank) && !elimination ? "flex" : "none"};">
             <label>白板逃脱，白板得</label>
             <input type="number" min="0" max="10" value="${scoring.blankEscape}" data-scoring="blankEscape" class="scoring-input" />
             <span>分</span>
           </div>
-          <div class="scoring-rule">
+          <div class="scoring-rule" style="display: ${elimination ? "none" : "flex"};">
             <label>玩家投对平民，得</label>
             <input type="number" min="0" max="10" value="${scoring.playerCorrectCivilian}" data-scoring="playerCorrectCivilian" class="scoring-input" />
             <span>分</span>
           </div>
-          <div class="scoring-rule">
+          <div class="scoring-rule" style="display: ${elimination ? "none" : "flex"};">
             <label>被其他玩家投票，得</label>
             <input type="number" min="0" max="10" value="${scoring.receivedVote}" data-scoring="receivedVote" class="scoring-input" />
             <span>分</span>
           </div>
+          <div class="scoring-rule" style="display: ${(config.wordSteal ?? "off") !== "off" ? "flex" : "none"};">
+            <label>卧底猜中平民词，得</label>
+            <input type="number" min="0" max="10" value="${scoring.undercoverWordSteal ?? DEFAULT_SCORING.undercoverWordSteal}" data-scoring="undercoverWordSteal" class="scoring-input" />
+            <span>分</span>
+          </div>
+          <div class="scoring-rule" style="display: ${config.wordSteal === "all" ? "flex" : "none"};">
+            <label>白板猜中平民词，得</label>
+            <input type="number" min="0" max="10" value="${scoring.blankWordSteal ?? DEFAULT_SCORING.blankWordSteal}" data-scoring="blankWordSteal" class="scoring-input" />
+            <span>分</span>
+          </div>
+          <div class="scoring-rule" style="display: ${config.afkRule === "penalty" ? "flex" : "none"};">
+            <label>挂机玩家，扣</label>
+            <input type="number" min="0" max="10" value="${scoring.afkPenalty ?? DEFAULT_SCORING.afkPenalty}" data-scoring="afkPenalty" class="scoring-input" />
+            <span>分</span>
+          </div>
+          <div class="scoring-rule">
+            <label>观众猜中卧底，得</label>
+            <input type="number" min="0" max="10" value="${scoring.spectatorCorrectUndercover ?? DEFAULT_SCORING.spectatorCorrectUndercover}" data-scoring="spectatorCorrectUndercover" class="scoring-input" />
+            <span>分</span>
+          </div>
         </div>
       </div>
     </div>
@@ -658,10 +1249,11 @@ function renderEnterRoom(session, helpers) {
   const storedName = helpers.getStoredPlayerName?.() ?? "";
   const currentNameInput = document.getElementById("join-name");
   const currentValue = currentNameInput?.value ?? storedName;
+  const currentPasscode = document.getElementById("join-passcode")?.value ?? "";
   const roomId = session.id || "";
   const isLobby = session.phase === Phase.LOBBY;
   const title = isLobby ? "进入房间" : "重新进入房间";
-  const hint = isLobby ? "" : '<p class="hint">游戏进行中，输入你的名字重新加入</p>';
+  const hint = isLobby ? "" : '<p class="hint">游戏进行中，输入你的名字重新加入（换了设备需要房主批准）</p>';
   const btnLabel = isLobby ? "进入房间" : "重新加入";
 
   return `
@@ -676,14 +1268,195 @@ function renderEnterRoom(session, helpers) {
         <label for="join-name">你的名字</label>
         <input type="text" id="join-name" class="input" placeholder="输入你的名字" maxlength="20" value="${escapeHtml(currentValue)}" />
       </div>
+      ${session.hasPasscode ? `
+        <div class="form-group">
+          <label for="join-passcode">房间密码</label>
+          <input type="password" id="join-passcode" class="input" placeholder="输入房间密码" maxlength="20" value="${escapeHtml(currentPasscode)}" />
+        </div>
+      ` : ""}
       <button class="btn primary" data-action="join">${btnLabel}</button>
+      <button class="btn secondary" data-action="spectate">观战</button>
       <p id="join-error" class="hint error" style="display:none"></p>
     </div>
   `;
 }
 
-function renderDeal(session, playerId, assignment) {
-  const isDealer = playerId === session.dealerId;
+/* ------------------------------------------------------------------ */
+/*  Spectator screens                                                  */
+/* ------------------------------------------------------------------ */
+
+function renderSpectator(session, spectatorId, helpers) {
+  const badge = '<div class="role-badge role-spectator">观众</div>';
+
+  switch (session.phase) {
+    case Phase.LOBBY:
+      return `
+        <div class="screen spectator">
+          ${badge}
+          <p class="phase-hint">等待房主开始游戏...</p>
+          <p class="hint">${session.players.length} 名玩家 · ${session.spectators.length} 名观众</p>
+        </div>
+      `;
+    case Phase.PLAY:
+      if (session.config?.gameMode === "elimination") {
+        return `
+          <div class="screen spectator">
+            ${badge}
+            ${renderEliminationHistory(session)}
+            <p class="phase-hint">玩家正在轮流描述...</p>
+            ${renderDeadlineTimer(session, helpers)}
+          </div>
+        `;
+      }
+      // falls through
+    case Phase.DEAL: {
+      const nonDealers = session.players.filter((p) => !isDealerPlayer(session, p) && p !== session.moderatorId);
+      const placed = nonDealers.filter((p) => session.cardPlaced?.[p]).length;
+      return `
+        <div class="screen spectator">
+          ${badge}
+          <p class="phase-hint">${session.phase === Phase.DEAL ? "玩家正在查看词语并放置卡片..." : "等待揭示词语..."}</p>
+          <p class="hint">已放置卡片 ${placed} / ${nonDealers.length}</p>
+          ${renderDeadlineTimer(session, helpers)}
+        </div>
+      `;
+    }
+    case Phase.REVEAL:
+      return `
+        <div class="screen spectator reveal">
+          ${badge}
+          ${renderRevealedWord(session)}
+          <p class="phase-hint">听听大家的故事，猜猜谁是卧底</p>
+        </div>
+      `;
+    case Phase.VOTE: {
+      const prediction = session.predictions?.[spectatorId] ?? null;
+      const candidates = session.players.filter((p) => !isDealerPlayer(session, p) && p !== session.moderatorId && !(session.eliminated || []).includes(p));
+      return `
+        <div class="screen spectator vote">
+          ${badge}
+          <p class="phase-hint">猜猜谁是卧底？</p>
+          ${renderDeadlineTimer(session, helpers)}
+          <div class="vote-section">
+            ${candidates.map((p) => `
+              <button class="btn vote-btn ${prediction === p ? "selected" : ""}" data-action="predict" data-target="${p}">
+                ${escapeHtml(getPlayerName(session, p))}
+              </button>
+            `).join("")}
+          </div>
+          <p class="hint">${prediction ? "已记录你的猜测，玩家投票结束后揭晓" : "玩家投票结束前都可以修改"}</p>
+          ${renderOpenVotes(session)}
+        </div>
+      `;
+    }
+    case Phase.STEAL:
+      return `
+        <div class="screen spectator">
+          ${badge}
+          <p class="phase-hint">${getStealWaitMessage(session)}</p>
+        </div>
+      `;
+    case Phase.RESULT:
+      return renderResult(session, spectatorId);
+    case Phase.FINAL:
+      return renderFinal(session, spectatorId);
+    default:
+      return `<div class="screen"><p>Unknown phase: ${session.phase}</p></div>`;
+  }
+}
+
+/** Spectator standings: cumulative scores plus this round's prediction (RESULT only) */
+function buildSpectatorLeaderboard(session, playerId) {
+  const points = session.config?.scoring?.spectatorCorrectUndercover ?? DEFAULT_SCORING.spectatorCorrectUndercover;
+  const scoresShown = isRevealStepShown(session, "scores");
+  const entries = (session.spectators || []).map((sid) => {
+    const target = session.predictions?.[sid] ?? null;
+    const correct = scoresShown && !!target && session.roles?.[target] === Role.UNDERCOVER;
+    const roundScore = correct ? points : 0;
+    return {
+      id: sid,
+      name: session.spectatorNames?.[sid] ?? sid,
+      predictionName: target ? getPlayerName(session, target) : null,
+      correct,
+      roundScore,
+      totalScore: (session.spectatorScores?.[sid] || 0) + roundScore,
+      isYou: sid === playerId,
+    };
+  });
+
+  entries.sort((a, b) => b.totalScore - a.totalScore);
+  let rank = 1;
+  for (let i = 0; i < entries.length; i++) {
+    if (i > 0 && entries[i].totalScore < entries[i - 1].totalScore) rank = i + 1;
+    entries[i].rank = rank;
+  }
+  return entries;
+}
+
+function renderSpectatorLeaderboard(session, playerId) {
+  const entries = buildSpectatorLeaderboard(session, playerId);
+  return `
+    <div class="leaderboard">
+      <h2>观众竞猜</h2>
+      <table class="leaderboard-table">
+        <thead>
+          <tr>
+            <th class="col-rank">排名</th>
+            <th class="col-name">观众</th>
+            <th class="col-name">猜测</th>
+            <th class="col-round">本局</th>
+            <th class="col-total">总分</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${entries.map((entry) => `
+            <tr class="${entry.isYou ? "you" : ""}">
+              <td class="col-rank">${entry.rank}</td>
+              <td class="col-name">${escapeHtml(entry.name)}</td>
+              <td class="col-name">${entry.predictionName ? `${escapeHtml(entry.predictionName)}${entry.correct ? " ✓" : ""}` : "-"}</td>
+              <td class="col-round">${entry.roundScore > 0 ? `<span class="round-score">+${entry.roundScore}</span>` : "-"}</td>
+              <td class="col-total">${entry.totalScore}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+/** Host override for DEAL/PLAY/STEAL when someone is holding the table up */
+function renderForceContinue(session, playerId, hint = "未完成的玩家将被标记为挂机") {
+  if (!isHostPlayer(session, playerId)) return "";
+  return `
+    <button class="btn secondary" data-action="force-continue">强制继续</button>
+    <p class="hint">${hint}</p>
+  `;
+}
+
+/** Custom-words moderator: sits the round out (no word, card or vote) and watches with the words in view */
+function renderModerator(session, playerId, helpers) {
+  const words = session.words || {};
+  const hints = {
+    [Phase.DEAL]: "玩家正在查看词语并放置卡片...",
+    [Phase.VOTE]: "玩家正在投票...",
+    [Phase.STEAL]: getStealWaitMessage(session),
+  };
+  return `
+    <div class="screen moderator">
+      <div class="role-badge role-moderator">主持人</div>
+      <p class="hint">平民词：${escapeHtml(words.correct)}</p>
+      <p class="hint">卧底词：${escapeHtml((words.wrong || []).join("、"))}</p>
+      <p class="phase-hint">${hints[session.phase] ?? ""}</p>
+      ${renderDeadlineTimer(session, helpers)}
+      ${renderOpenVotes(session)}
+      ${session.phase === Phase.DEAL ? renderForceContinue(session, playerId) : ""}
+      ${session.phase === Phase.STEAL ? renderForceContinue(session, playerId, "未猜词的玩家视为放弃") : ""}
+    </div>
+  `;
+}
+
+function renderDeal(session, playerId, assignment, helpers) {
+  const isDealer = isDealerPlayer(session, playerId);
   const myRole = session.roles?.[playerId];
 
   // Dealer: wait for everyone else
@@ -692,6 +1465,8 @@ function renderDeal(session, playerId, assignment) {
       <div class="screen deal">
         <div class="role-badge role-dealer">庄家</div>
         <p class="phase-hint">等待所有人查看词语并放置卡片...</p>
+        ${renderDeadlineTimer(session, helpers)}
+        ${renderForceContinue(session, playerId)}
       </div>
     `;
   }
@@ -701,6 +1476,8 @@ function renderDeal(session, playerId, assignment) {
     return `
       <div class="screen deal">
         <p class="phase-hint">等待其他玩家...</p>
+        ${renderDeadlineTimer(session, helpers)}
+        ${renderForceContinue(session, playerId)}
       </div>
     `;
   }
@@ -716,12 +1493,16 @@ function renderDeal(session, playerId, assignment) {
         <div class="scratch-word">${escapeHtml(wordText)}</div>
       </div>
       <p class="phase-hint">选择你的卡片</p>
+      ${renderDeadlineTimer(session, helpers)}
       <button class="btn primary" data-action="acknowledge-place" ${btnDisabled}>我已放置卡片</button>
     </div>
   `;
 }
 
-function renderPlay(session, playerId) {
+function renderPlay(session, playerId, helpers) {
+  if (session.config?.gameMode === "elimination") return renderEliminationPlay(session, playerId, helpers);
+
+  // With several dealers only the lead dealer (session.dealerId) advances
   const isDealer = session.dealerId && playerId === session.dealerId;
   const isHostFacilitator = !session.dealerId && isHostPlayer(session, playerId);
   const canAdvance = isDealer || isHostFacilitator;
@@ -730,16 +1511,47 @@ function renderPlay(session, playerId) {
     return `
       <div class="screen play">
         ${isDealer ? '<div class="role-badge role-dealer">庄家</div>' : ""}
+        ${playerId === session.moderatorId ? '<div class="role-badge role-moderator">主持人</div>' : ""}
         <p class="phase-hint">所有人已放置卡片</p>
+        ${renderDeadlineTimer(session, helpers)}
         <button class="btn primary" data-action="advance-play">揭示词语</button>
       </div>
     `;
   }
 
-  const waitMsg = session.dealerId ? "等待庄家揭示词语..." : "等待房主揭示词语...";
+  const waitMsg = !session.dealerId
+    ? "等待房主揭示词语..."
+    : getDealerIds(session).length > 1 ? "等待主庄家揭示词语..." : "等待庄家揭示词语...";
   return `
     <div class="screen play">
+      ${isDealerPlayer(session, playerId) ? '<div class="role-badge role-dealer">庄家</div>' : ""}
       <p class="phase-hint">${waitMsg}</p>
+      ${renderDeadlineTimer(session, helpers)}
+      ${renderForceContinue(session, playerId)}
+    </div>
+  `;
+}
+
+/** Elimination mode PLAY: describe your word, then the host opens the vote (loops until a side wins) */
+function renderEliminationPlay(session, playerId, helpers) {
+  const isOut = (session.eliminated || []).includes(playerId);
+  const isModerator = playerId === session.moderatorId;
+  const aliveCount = session.players.length - (session.eliminated || []).length - (session.moderatorId ? 1 : 0);
+  const word = getPlayerAssignment(session, playerId) ?? "(无词)";
+
+  return `
+    <div class="screen play">
+      ${isOut ? '<div class="role-badge role-spectator">已出局</div>' : ""}
+      ${isModerator
+        ? `<div class="role-badge role-moderator">主持人</div><p class="hint">平民词：${escapeHtml(session.words.correct)}</p>`
+        : `<p class="hint">你的词语：${escapeHtml(word)}</p>`}
+      ${renderEliminationHistory(session)}
+      <p class="phase-hint">${isOut ? "你已出局，本轮剩余时间观战" : "轮流描述你的词语"}</p>
+      <p class="hint">场上剩余 ${aliveCount} 名玩家</p>
+      ${renderDeadlineTimer(session, helpers)}
+      ${isHostPlayer(session, playerId)
+        ? '<button class="btn primary" data-action="advance-play">开始投票</button>'
+        : '<p class="hint">描述完毕后由房主开始投票</p>'}
     </div>
   `;
 }
@@ -767,20 +1579,125 @@ function renderReveal(session, playerId) {
 
   return `
     <div class="screen reveal">
-      <p class="reveal-label">正确词语是</p>
-      <p class="big-word">${escapeHtml(session.words.correct)}</p>
+      ${renderRevealedWord(session)}
       ${bottomSection}
     </div>
   `;
 }
 
-function renderVote(session, playerId) {
+/** The correct word on REVEAL; with word steal on the server keeps it hidden until RESULT */
+function renderRevealedWord(session) {
+  if (!session.words.correct) {
+    return `
+      <p class="reveal-label">正确词语</p>
+      <p class="phase-hint">猜词环节结束后公布</p>
+    `;
+  }
+  return `
+    <p class="reveal-label">正确词语是</p>
+    <p class="big-word">${escapeHtml(session.words.correct)}</p>
+  `;
+}
+
+function getStealWaitMessage(session) {
+  return session.config?.wordSteal === "all" ? "等待卧底和白板猜平民词语..." : "等待卧底猜平民词语...";
+}
+
+/** Word steal: each stealer (the server tells only them) gets one guess at the civilian word */
+function renderSteal(session, playerId) {
+  const isStealer = (session.stealers || []).includes(playerId);
+  const steal = session.wordSteals?.[playerId] ?? null;
+  const forceHint = "未猜词的玩家视为放弃";
+
+  if (!isStealer || steal) {
+    let note = "";
+    if (steal) {
+      note = steal.guess
+        ? `<p class="hint">你猜的是「${escapeHtml(steal.guess)}」，${steal.correct ? "猜对了！" : "没有猜中"}</p>`
+        : '<p class="hint">你放弃了猜词</p>';
+    }
+    return `
+      <div class="screen steal">
+        ${note}
+        <p class="phase-hint">${getStealWaitMessage(session)}</p>
+        ${renderForceContinue(session, playerId, forceHint)}
+      </div>
+    `;
+  }
+
+  const isBlank = getPlayerAssignment(session, playerId) === "白板";
+  return `
+    <div class="screen steal">
+      <div class="role-badge ${isBlank ? "role-blank" : "role-undercover"}">${isBlank ? "白板" : "卧底"}</div>
+      <p class="phase-hint">猜猜平民的词语是什么？</p>
+      <p class="hint">只有一次机会，猜中可得 ${getStealBonus(session, playerId)} 分</p>
+      <input type="text" class="input steal-input" maxlength="20" placeholder="平民词语" value="${escapeHtml(stealDraft)}" data-steal-input />
+      <div class="steal-actions">
+        <button class="btn primary" data-action="steal-word">提交</button>
+        <button class="btn secondary" data-action="steal-pass">放弃</button>
+      </div>
+      ${renderForceContinue(session, playerId, forceHint)}
+    </div>
+  `;
+}
+
+/** Points a correct word-steal guess is worth for this player (blanks and undercovers score separately) */
+function getStealBonus(session, playerId) {
+  const scoring = session.config?.scoring || DEFAULT_SCORING;
+  const isBlank = session.roles?.[playerId] === Role.BLANK || getPlayerAssignment(session, playerId) === "白板";
+  return isBlank
+    ? (scoring.blankWordSteal ?? DEFAULT_SCORING.blankWordSteal)
+    : (scoring.undercoverWordSteal ?? DEFAULT_SCORING.undercoverWordSteal);
+}
+
+/** Civilians dealt this round (a custom-words moderator takes one civilian seat) */
+function getCivilianCount(session) {
+  return Math.max(1, (session.config?.civilianCount ?? 1) - (session.moderatorId ? 1 : 0));
+}
+
+/** Dealer guess score: per civilian named, plus a bonus for exactly the civilians (mirrors game.js) */
+function getDealerGuessResult(session, guess) {
+  const scoring = session.config?.scoring || DEFAULT_SCORING;
+  const picks = Array.isArray(guess) ? guess : [];
+  const hits = picks.filter((p) => session.roles?.[p] === Role.CIVILIAN).length;
+  const exact = hits > 0 && hits === picks.length && hits === getCivilianCount(session);
+  const points = hits * (scoring.dealerGuessCivilian ?? DEFAULT_SCORING.dealerGuessCivilian)
+    + (exact ? (scoring.dealerGuessAllCivilians ?? DEFAULT_SCORING.dealerGuessAllCivilians) : 0);
+  return { hits, exact, points };
+}
+
+/** Dealer guesses added to round scores (skipped for dealers who abstained) */
+function addDealerGuessScores(session, roundScores) {
+  const abstained = new Set(session.abstained || []);
+  for (const [dealerId, guess] of Object.entries(session.dealerGuesses || {})) {
+    if (abstained.has(dealerId) || !(dealerId in roundScores)) continue;
+    roundScores[dealerId] += getDealerGuessResult(session, guess).points;
+  }
+  return roundScores;
+}
+
+function renderVote(session, playerId, helpers) {
   const hasVoted = session.votes[playerId] != null;
   const config = session.config || {};
+  const elimination = config.gameMode === "elimination";
+  const eliminated = session.eliminated || [];
+
+  if (elimination && eliminated.includes(playerId)) {
+    return `
+      <div class="screen vote">
+        <div class="role-badge role-spectator">已出局</div>
+        <p class="phase-hint">其他玩家正在投票...</p>
+        ${renderDeadlineTimer(session, helpers)}
+        ${renderOpenVotes(session)}
+      </div>
+    `;
+  }
+
+  if (session.runoff) return renderTieBreak(session, playerId, helpers);
 
   // Determine if this player needs blank voting
-  const isDealer = playerId === session.dealerId;
-  const needsBlankVote = config.blankCount > 0 && (
+  const isDealer = isDealerPlayer(session, playerId);
+  const needsBlankVote = config.blankCount > 0 && !elimination && (
     (isDealer && config.dealerCanVoteBlank) ||
     (!isDealer && config.playerCanVoteBlank)
   );
@@ -791,21 +1708,23 @@ function renderVote(session, playerId) {
     return `
       <div class="screen vote">
         <p class="phase-hint">等待其他玩家投票...</p>
+        ${renderDeadlineTimer(session, helpers)}
+        ${renderOpenVotes(session)}
       </div>
     `;
   }
 
-  const candidates = isDealer
-    ? session.players.filter((p) => p !== session.dealerId)
-    : session.players.filter((p) => p !== playerId && p !== session.dealerId);
+  // Dealers never vote for themselves or each other
+  const candidates = session.players.filter((p) => p !== playerId && !isDealerPlayer(session, p) && p !== session.moderatorId && !eliminated.includes(p));
 
   const selections = session.voteSelection?.[playerId] || [];
   const maxVotes = isDealer ? (session.config?.dealerVoteCount ?? 2) : 1;
   const voteReady = selections.length === maxVotes;
 
-  const prompt = isDealer
+  let prompt = isDealer
     ? "谁拿到了正确词语？"
     : "投票给你认为拿到正确词语的人";
+  if (elimination) prompt = "投票淘汰你认为是卧底的人";
 
   const counter = maxVotes > 1
     ? `<p class="hint">已选 ${selections.length} / ${maxVotes}</p>`
@@ -828,12 +1747,34 @@ function renderVote(session, playerId) {
     `;
   }
 
+  // Dealer guess section: who has the correct word, apart from the votes
+  let guessSection = "";
+  const guessSelection = session.dealerGuessSelection?.[playerId] || [];
+  if (isDealer) {
+    const maxPicks = getCivilianCount(session);
+    guessSection = `
+      <div class="vote-divider"></div>
+      <p class="phase-hint">庄家猜测：哪些人是平民？</p>
+      <div class="vote-section">
+        ${candidates.map((p) => `
+          <button class="btn vote-btn dealer-guess-btn ${guessSelection.includes(p) ? "selected" : ""}" data-action="select-dealer-guess" data-target="${p}">
+            ${escapeHtml(getPlayerName(session, p))}
+          </button>
+        `).join("")}
+      </div>
+      <p class="hint">已选 ${guessSelection.length} / ${maxPicks} · 全部猜中有额外加分</p>
+    `;
+  }
+
   const blankReady = !needsBlankVote || (session.blankVoteSelection?.[playerId] != null);
-  const canConfirm = voteReady && blankReady;
+  const guessReady = !isDealer || guessSelection.length > 0;
+  const canConfirm = voteReady && blankReady && guessReady;
 
   return `
     <div class="screen vote">
       <p class="phase-hint">${prompt}</p>
+      ${renderDeadlineTimer(session, helpers)}
+      ${renderOpenVotes(session)}
       <div class="vote-section">
         ${candidates.map((p) => `
           <button class="btn vote-btn ${selections.includes(p) ? "selected" : ""}" data-action="select-vote" data-target="${p}">
@@ -843,17 +1784,143 @@ function renderVote(session, playerId) {
       </div>
       ${counter}
       ${blankSection}
+      ${guessSection}
       <button class="btn primary" data-action="confirm-vote" ${canConfirm ? "" : "disabled"}>投票</button>
     </div>
   `;
 }
 
+/** Each dealer's guess at the civilians, shown apart from their votes */
+function renderDealerGuesses(session, playerId) {
+  const guesses = Object.entries(session.dealerGuesses || {}).filter(([, guess]) => Array.isArray(guess));
+  if (guesses.length === 0) return "";
+
+  return `
+    <div class="dealer-guesses">
+      <div class="votes-column-label">庄家猜测</div>
+      ${guesses.map(([dealerId, guess]) => {
+        const { exact, points } = getDealerGuessResult(session, guess);
+        const picks = guess.map((p) => {
+          const hit = session.roles?.[p] === Role.CIVILIAN;
+          return `<span class="dealer-guess-pick ${hit ? "hit" : "miss"}">${escapeHtml(getPlayerName(session, p))} ${hit ? "✓" : "✗"}</span>`;
+        }).join("");
+        return `
+          <div class="voter-box-large dealer-vote${dealerId === playerId ? " you-vote" : ""}">
+            <span class="voter-name"><span class="crown">👑</span> ${escapeHtml(getPlayerName(session, dealerId))}</span>
+            ${picks}
+            ${exact ? '<span class="score-gain dealer">全中</span>' : ""}
+            ${points > 0 ? `<span class="voter-score player">+${points}</span>` : ""}
+          </div>
+        `;
+      }).join("")}
+    </div>
+  `;
+}
+
+/** Open voting: who voted for whom so far, and the running tally (VOTE only) */
+function renderOpenVotes(session) {
+  if (!session.config?.openVoting || session.phase !== Phase.VOTE) return "";
+  const name = (p) => escapeHtml(getPlayerName(session, p));
+  const runoffVotes = session.runoff?.votes;
+  const entries = runoffVotes
+    ? Object.entries(runoffVotes).map(([voterId, targetId]) => [voterId, [targetId]])
+    : Object.entries(session.votes || {}).filter(([, picks]) => Array.isArray(picks));
+  if (entries.length === 0) return '<div class="open-votes"><p class="hint">公开投票：还没有人投票</p></div>';
+
+  const tally = {};
+  for (const [, picks] of entries) {
+    for (const p of picks) tally[p] = (tally[p] || 0) + 1;
+  }
+  const ranked = Object.entries(tally).sort((a, b) => b[1] - a[1]);
+
+  return `
+    <div class="open-votes">
+      <div class="votes-column-label">${runoffVotes ? "决胜投票" : "公开投票"}</div>
+      <div class="open-vote-tally">
+        ${ranked.map(([p, count]) => `<span class="open-vote-count">${name(p)} ×${count}</span>`).join("")}
+      </div>
+      <ul class="open-vote-arrows">
+        ${entries.map(([voterId, picks]) => {
+          const blank = runoffVotes ? null : session.blankVotes?.[voterId];
+          return `<li>${name(voterId)} → ${picks.map(name).join("、")}${blank ? `<span class="hint">（白板 → ${name(blank)}）</span>` : ""}</li>`;
+        }).join("")}
+      </ul>
+    </div>
+  `;
+}
+
+/** VOTE tie-break: a runoff among the tied players, or the lead dealer picking one */
+function renderTieBreak(session, playerId, helpers) {
+  const { method, tied, deciderId } = session.runoff;
+  const tiedNames = tied.map((p) => escapeHtml(getPlayerName(session, p))).join("、");
+
+  if (method === "dealer") {
+    if (playerId !== deciderId) {
+      return `
+        <div class="screen vote">
+          <p class="phase-hint">平票：${tiedNames}</p>
+          <p class="hint">等待 ${escapeHtml(getPlayerName(session, deciderId))} 决定...</p>
+          ${renderDeadlineTimer(session, helpers)}
+          ${renderOpenVotes(session)}
+        </div>
+      `;
+    }
+    return `
+      <div class="screen vote">
+        <p class="phase-hint">平票！请选择一人</p>
+        ${renderDeadlineTimer(session, helpers)}
+        ${renderOpenVotes(session)}
+        <div class="vote-section">
+          ${tied.map((p) => `
+            <button class="btn vote-btn" data-action="break-tie" data-target="${p}">${escapeHtml(getPlayerName(session, p))}</button>
+          `).join("")}
+        </div>
+      </div>
+    `;
+  }
+
+  if (session.runoff.votes?.[playerId] != null) {
+    return `
+      <div class="screen vote">
+        <p class="phase-hint">等待其他玩家决胜投票...</p>
+        ${renderDeadlineTimer(session, helpers)}
+        ${renderOpenVotes(session)}
+      </div>
+    `;
+  }
+
+  const selection = session.voteSelection?.[playerId]?.[0] ?? null;
+  return `
+    <div class="screen vote">
+      <p class="phase-hint">平票！在 ${tiedNames} 中再投一次</p>
+      ${renderDeadlineTimer(session, helpers)}
+      ${renderOpenVotes(session)}
+      <div class="vote-section">
+        ${tied.filter((p) => p !== playerId).map((p) => `
+          <button class="btn vote-btn ${selection === p ? "selected" : ""}" data-action="select-vote" data-target="${p}">
+            ${escapeHtml(getPlayerName(session, p))}
+          </button>
+        `).join("")}
+      </div>
+      <button class="btn primary" data-action="confirm-vote" ${selection ? "" : "disabled"}>投票</button>
+    </div>
+  `;
+}
+
 function renderResult(session, playerId) {
   const iAmHost = isHostPlayer(session, playerId);
   const scoring = session.config?.scoring || DEFAULT_SCORING;
   const config = session.config || {};
   const dealerId = session.dealerId;
   const hasBlankVoting = Object.keys(session.blankVotes || {}).length > 0;
+  const hasSpectators = (session.spectators || []).length > 0;
+  const elimination = config.gameMode === "elimination";
+  // Staged reveal (config.stagedReveal): the host shows the result step by step
+  const revealSteps = getRevealSteps(session);
+  const revealing = session.revealStep != null && session.revealStep < revealSteps.length;
+  const wordsShown = isRevealStepShown(session, "words");
+  const votesShown = isRevealStepShown(session, "votes");
+  const scoresShown = isRevealStepShown(session, "scores");
 
   // Calculate scores for this round
   function calculateScoring() {
@@ -871,7 +1938,7 @@ function renderResult(session, playerId) {
     // Process all votes (correct-word guessing)
     for (const [voterId, picks] of Object.entries(session.votes)) {
       if (!Array.isArray(picks)) continue;
-      const voterIsDealer = voterId === dealerId;
+      const voterIsDealer = isDealerPlayer(session, voterId);
       const voterRole = session.roles?.[voterId];
 
       for (const targetId of picks) {
@@ -879,20 +1946,24 @@ function renderResult(session, playerId) {
         let voterScoreGain = 0;
         let targetScoreGain = 0;
 
-        if (voterIsDealer) {
-          if (targetRole === Role.CIVILIAN) {
-            voterScoreGain = scoring.dealerCorrectCivilian;
-            targetScoreGain = scoring.civilianFromDealer;
-          } else if (targetRole === Role.UNDERCOVER) {
-            targetScoreGain = scoring.undercoverFromDealer;
-          } else if (targetRole === Role.BLANK) {
-            targetScoreGain = scoring.blankFromDealer;
-          }
-        } else {
-          if (targetRole === Role.CIVILIAN) {
-            voterScoreGain = scoring.playerCorrectCivilian;
+        // Elimination mode: the deciding vote is shown but scores nothing
+        // (the winning side is scored after the loop)
+        if (!elimination) {
+          if (voterIsDealer) {
+            if (targetRole === Role.CIVILIAN) {
+              voterScoreGain = scoring.dealerCorrectCivilian;
+              targetScoreGain = scoring.civilianFromDealer;
+            } else if (targetRole === Role.UNDERCOVER) {
+              targetScoreGain = scoring.undercoverFromDealer;
+            } else if (targetRole === Role.BLANK) {
+              targetScoreGain = scoring.blankFromDealer;
+            }
+          } else {
+            if (targetRole === Role.CIVILIAN) {
+              voterScoreGain = scoring.playerCorrectCivilian;
+            }
+            targetScoreGain = scoring.receivedVote;
           }
-          targetScoreGain = scoring.receivedVote;
         }
 
         roundScores[voterId] = (roundScores[voterId] || 0) + voterScoreGain;
@@ -913,7 +1984,7 @@ function renderResult(session, playerId) {
     const blankVotedTargets = new Set();
     for (const [voterId, targetId] of Object.entries(session.blankVotes || {})) {
       if (targetId == null) continue;
-      const voterIsDealer = voterId === dealerId;
+      const voterIsDealer = isDealerPlayer(session, voterId);
       const targetRole = session.roles?.[targetId];
       let voterScoreGain = 0;
 
@@ -947,13 +2018,22 @@ function renderResult(session, playerId) {
       }
     }
 
+    if (elimination) {
+      Object.assign(roundScores, calculateEliminationScores(session));
+    } else {
+      addDealerGuessScores(session, roundScores);
+    }
+
+    addWordStealScores(session, roundScores);
+    applyAfkRule(session, roundScores);
+
     return { roundScores, voteDetails, blankVoteDetails, escapeDetails };
   }
 
   const { roundScores, voteDetails, blankVoteDetails, escapeDetails } = calculateScoring();
 
-  // Build player results, excluding dealer (dealer card not shown)
-  const nonDealerPlayers = session.players.filter((p) => p !== dealerId);
+  // Build player results, excluding dealers (dealer cards not shown)
+  const nonDealerPlayers = session.players.filter((p) => !isDealerPlayer(session, p));
 
   const results = nonDealerPlayers.map((p) => ({
     id: p,
@@ -965,7 +2045,10 @@ function renderResult(session, playerId) {
     blankVoters: blankVoteDetails[p] || [],
     escaped: escapeDetails[p] != null,
     escapeScore: escapeDetails[p] || 0,
-    roundScore: roundScores[p] || 0,
+    roundScore: scoresShown ? roundScores[p] || 0 : 0,
+    afk: (session.afk || []).includes(p),
+    eliminated: (session.eliminated || []).includes(p),
+    steal: session.wordSteals?.[p] ?? null,
     isYou: p === playerId,
   }));
 
@@ -973,6 +2056,7 @@ function renderResult(session, playerId) {
   const civilians = results.filter((r) => r.role === Role.CIVILIAN);
   const undercovers = results.filter((r) => r.role === Role.UNDERCOVER);
   const blanks = results.filter((r) => r.role === Role.BLANK);
+  const pending = results.filter((r) => !r.role && r.id !== session.moderatorId);
 
   // Dealer score
   const dealerScore = dealerId ? (roundScores[dealerId] || 0) : 0;
@@ -985,6 +2069,20 @@ function renderResult(session, playerId) {
   const roundDisplay = roundNum <= 10 ? roundNames[roundNum - 1] : roundNum;
 
   function renderCard(r) {
+    if (!r.role) {
+      return `
+        <div class="result-card pending-card${r.isYou ? " you-card" : ""}">
+          <div class="result-header">
+            <div class="player-name-row">
+              <span class="player-name">${escapeHtml(r.name)}</span>
+            </div>
+          </div>
+          <div class="card-divider"></div>
+          <div class="no-votes">身份待揭晓</div>
+        </div>
+      `;
+    }
+
     // Calculate score breakdown for display
     let playerVoteScore = 0;
     let dealerVoteScore = 0;
@@ -1001,7 +2099,9 @@ function renderResult(session, playerId) {
     const totalExtraScore = r.escapeScore;
 
     const scoreDisplay = [];
-    if (playerVoteScore > 0) {
+    if (!scoresShown) {
+      // Score badges wait for the staged reveal's scores step
+    } else if (playerVoteScore > 0) {
       scoreDisplay.push(`<span class="score-gain player">+${playerVoteScore}</span>`);
     }
     if (dealerVoteScore > 0) {
@@ -1010,14 +2110,26 @@ function renderResult(session, playerId) {
     if (totalExtraScore > 0) {
       scoreDisplay.push(`<span class="score-gain escape-badge">逃脱！+${totalExtraScore}</span>`);
     }
+    const stealScore = r.steal?.correct ? getStealBonus(session, r.id) : 0;
+    if (elimination && r.roundScore - stealScore > 0) {
+      scoreDisplay.push(`<span class="score-gain player">胜利 +${r.roundScore - stealScore}</span>`);
+    }
+    if (stealScore > 0) {
+      scoreDisplay.push(`<span class="score-gain steal-badge">猜中！+${stealScore}</span>`);
+    }
 
     const displayName = escapeHtml(r.name);
 
     // Inline word for undercover cards when differentUndercoverWords is on
-    const inlineWordHtml = (r.role === Role.UNDERCOVER && config.differentUndercoverWords)
+    const inlineWordHtml = (wordsShown && r.role === Role.UNDERCOVER && config.differentUndercoverWords)
       ? `<span class="inline-card-word undercover-word">${escapeHtml(r.word)}</span>`
       : "";
 
+    // Word steal guess (an empty guess means the player passed)
+    const stealHtml = r.steal && votesShown
+      ? `<div class="steal-guess">猜词：${r.steal.guess ? `「${escapeHtml(r.steal.guess)}」${r.steal.correct ? " ✓" : " ✗"}` : "放弃"}</div>`
+      : "";
+
     // Normal voters section
     const votersHtml = r.voters.length > 0 ? r.voters.map((v) => `
       <div class="voter-box-large ${v.isDealer ? "dealer-vote" : ""}${v.voterId === playerId ? " you-vote" : ""}">
@@ -1051,20 +2163,25 @@ function renderResult(session, playerId) {
         <div class="result-header">
           <div class="player-name-row">
             <span class="player-name">${displayName}</span>
+            ${r.afk ? '<span class="afk-badge">挂机</span>' : ""}
+            ${r.eliminated && votesShown ? '<span class="afk-badge eliminated-badge">出局</span>' : ""}
             ${inlineWordHtml}
           </div>
           <div class="score-badges">
             ${scoreDisplay.join("")}
           </div>
         </div>
+        ${stealHtml}
         <div class="card-divider"></div>
-        <div class="result-votes-area ${hasBlankVoting ? "split" : ""}">
-          <div class="result-voters">
-            ${hasBlankVoting ? '<div class="votes-column-label">正常票</div>' : ""}
-            ${votersHtml}
+        ${votesShown ? `
+          <div class="result-votes-area ${hasBlankVoting ? "split" : ""}">
+            <div class="result-voters">
+              ${hasBlankVoting ? '<div class="votes-column-label">正常票</div>' : ""}
+              ${votersHtml}
+            </div>
+            ${blankVotersHtml}
           </div>
-          ${blankVotersHtml}
-        </div>
+        ` : '<div class="no-votes">投票待揭晓</div>'}
       </div>
     `;
   }
@@ -1092,7 +2209,7 @@ function renderResult(session, playerId) {
   // Build leaderboard entries for all players
   const leaderboard = session.players.map((pid) => {
     const prevTotal = previousTotalScores[pid] || 0;
-    const roundScore = roundScores[pid] || 0;
+    const roundScore = scoresShown ? roundScores[pid] || 0 : 0;
     const newTotal = prevTotal + roundScore;
     return {
       id: pid,
@@ -1119,6 +2236,7 @@ function renderResult(session, playerId) {
     return `
       <div class="leaderboard">
         <h2>排行榜</h2>
+        ${isTeamMode(session) ? renderTeamLeaderboard(buildTeamLeaderboard(session, leaderboard), true) : ""}
         <table class="leaderboard-table">
           <thead>
             <tr>
@@ -1148,30 +2266,231 @@ function renderResult(session, playerId) {
       <div class="result-tabs">
         <button class="result-tab ${resultActiveTab === 'round' ? 'active' : ''}" data-action="switch-result-tab" data-tab="round">本轮结果</button>
         <button class="result-tab ${resultActiveTab === 'leaderboard' ? 'active' : ''}" data-action="switch-result-tab" data-tab="leaderboard">排行榜</button>
+        ${hasSpectators ? `<button class="result-tab ${resultActiveTab === 'spectators' ? 'active' : ''}" data-action="switch-result-tab" data-tab="spectators">观众</button>` : ""}
       </div>
 
       <div class="result-content">
         <div class="result-tab-panel ${resultActiveTab === 'round' ? 'active' : ''}" data-panel="round">
+          ${elimination && scoresShown ? renderEliminationSummary(session) : ""}
           <div class="result-groups">
-            ${renderRoleGroup(civilians, `平民 <span class="role-group-word civilian-word">${escapeHtml(session.words.correct)}</span>`)}
-            ${renderRoleGroup(undercovers, (!config.differentUndercoverWords && undercovers.length > 0)
+            ${renderRoleGroup(civilians, wordsShown ? `平民 <span class="role-group-word civilian-word">${escapeHtml(session.words.correct)}</span>` : "平民")}
+            ${renderRoleGroup(undercovers, (wordsShown && !config.differentUndercoverWords && undercovers.length > 0)
               ? `卧底 <span class="role-group-word undercover-word">${escapeHtml(undercovers[0].word)}</span>`
               : "卧底")}
             ${renderRoleGroup(blanks, "白板")}
+            ${renderRoleGroup(pending, "待揭晓")}
           </div>
+          ${votesShown ? renderDealerGuesses(session, playerId) : ""}
+          ${elimination || !votesShown ? "" : renderMostVoted(session)}
+          ${wordsShown && session.words.submittedBy ? `
+            <p class="hint word-credit">本轮词语由 ${escapeHtml(getPlayerName(session, session.words.submittedBy))} 投稿</p>
+          ` : ""}
+          ${(session.abstained || []).length > 0 ? `
+            <p class="hint abstained-note">投票超时弃权：${session.abstained.map((p) => escapeHtml(getPlayerName(session, p))).join("、")}</p>
+          ` : ""}
         </div>
 
         <div class="result-tab-panel ${resultActiveTab === 'leaderboard' ? 'active' : ''}" data-panel="leaderboard">
           ${renderLeaderboard()}
         </div>
+
+        ${hasSpectators ? `
+          <div class="result-tab-panel ${resultActiveTab === 'spectators' ? 'active' : ''}" data-panel="spectators">
+            ${renderSpectatorLeaderboard(session, playerId)}
+          </div>
+        ` : ""}
       </div>
 
-      ${iAmHost ? `
+      ${revealing ? renderRevealControls(session, revealSteps, iAmHost) : iAmHost ? `
         <div class="result-actions">
           <button class="btn secondary" data-action="back-to-lobby">回到大厅</button>
-          <button class="btn primary" data-action="next-round">下一轮</button>
+          <button class="btn primary" data-action="next-round">${isMatchDecidingRound(session) ? "最终排名" : "下一轮"}</button>
+        </div>
+      ` : ""}
+    </div>
+  `;
+}
+
+/** Staged reveal: the host's button for the next step (everyone else waits for it) */
+function renderRevealControls(session, revealSteps, iAmHost) {
+  if (!iAmHost) return '<p class="hint reveal-wait">等待房主揭晓...</p>';
+  const step = revealSteps[session.revealStep];
+  const label = step.startsWith("role:")
+    ? `揭晓 ${escapeHtml(getPlayerName(session, step.slice("role:".length)))} 的身份`
+    : { words: "揭晓词语", votes: "揭晓投票", scores: "揭晓得分" }[step];
+  return `
+    <div class="result-actions">
+      <button class="btn secondary" data-action="reveal-all">全部揭晓</button>
+      <button class="btn primary" data-action="reveal-next">${label}</button>
+    </div>
+  `;
+}
+
+/** One line per elimination-mode vote: who went out, or the tie that saved everyone */
+function renderEliminationHistory(session) {
+  const eliminations = session.eliminations || [];
+  if (eliminations.length === 0) return "";
+  return `
+    <ol class="elimination-history">
+      ${eliminations.map((e) => {
+        if (e.eliminatedId) {
+          const how = e.tieBreak ? `平票，${getTieBreakNote(e.tieBreak)}` : `${e.tally?.[e.eliminatedId] ?? 0} 票`;
+          return `<li>${escapeHtml(getPlayerName(session, e.eliminatedId))} 出局（${how}）</li>`;
+        }
+        if (e.tied?.length > 0) {
+          const how = e.tieBreak ? `，${getTieBreakNote(e.tieBreak)}` : "";
+          return `<li>平票：${e.tied.map((p) => escapeHtml(getPlayerName(session, p))).join("、")}${how}，无人出局</li>`;
+        }
+        return "<li>无人投票，无人出局</li>";
+      }).join("")}
+    </ol>
+  `;
+}
+
+/** How a tie was (or wasn't) broken, for the round summary */
+function getTieBreakNote(tieBreak) {
+  if (tieBreak.method === "runoff") {
+    const counts = Object.values(tieBreak.tally || {}).join(":") || "0";
+    return tieBreak.playerId ? `决胜投票 ${counts}` : `决胜投票仍平票 ${counts}`;
+  }
+  if (tieBreak.method === "dealer") return tieBreak.playerId ? "庄家决定" : "未决定";
+  if (tieBreak.fallback === "noDealer") return "无庄家，随机决定";
+  if (tieBreak.fallback === "dealerTied") return "庄家在平票中，随机决定";
+  return "随机决定";
+}
+
+/** Classic round summary: the most-voted player, and how a tie for it was broken */
+function renderMostVoted(session) {
+  const most = session.mostVoted;
+  if (!most || (!most.playerId && most.tied.length === 0)) return "";
+  const names = (ids) => ids.map((p) => escapeHtml(getPlayerName(session, p))).join("、");
+  const text = most.playerId
+    ? `得票最多：${names([most.playerId])}（${most.tieBreak ? `平票，${getTieBreakNote(most.tieBreak)}` : `${most.tally?.[most.playerId] ?? 0} 票`}）`
+    : `得票最多：${names(most.tied)} 平票${most.tieBreak ? `（${getTieBreakNote(most.tieBreak)}）` : ""}`;
+  return `<p class="hint word-credit">${text}</p>`;
+}
+
+function renderEliminationSummary(session) {
+  const label = session.outcome === "civilians" ? "平民胜利" : session.outcome === "undercovers" ? "卧底胜利" : "本轮未分胜负";
+  return `
+    <div class="elimination-summary">
+      <p class="outcome-banner outcome-${session.outcome ?? "none"}">${label}</p>
+      ${renderEliminationHistory(session)}
+    </div>
+  `;
+}
+
+/** Whether banking this RESULT round ends the match (mirrors game.js isMatchOver) */
+function isMatchDecidingRound(session) {
+  const { matchMode, matchTarget = 0 } = session.config || {};
+  if (matchTarget < 1) return false;
+  if (matchMode === "rounds") return (session.roundHistory || []).length + 1 >= matchTarget;
+  if (matchMode === "score") {
+    const entries = buildLeaderboardData(session, null);
+    const totals = isTeamMode(session) ? buildTeamLeaderboard(session, entries) : entries;
+    return totals.some((e) => e.totalScore >= matchTarget);
+  }
+  return false;
+}
+
+const TIEBREAK_NOTES = {
+  roundWins: "总分相同，按赢得轮数决出冠军",
+  bestRound: "总分相同，按单轮最高分决出冠军",
+  shared: "总分与决胜条件均相同，并列冠军",
+};
+
+/** Match over: champion, final standings and per-round score progression */
+function renderFinal(session, playerId) {
+  const iAmHost = isHostPlayer(session, playerId);
+  const result = session.matchResult || { winners: [], standings: [], tiebreak: null };
+
+  // Team matches rank teams: standings ids are team indices, history is summed per team
+  const sumByTeam = (scores) => {
+    const sums = {};
+    for (const [pid, score] of Object.entries(scores || {})) {
+      const team = session.teams?.[pid];
+      if (team != null) sums[team] = (sums[team] || 0) + score;
+    }
+    return sums;
+  };
+  const history = (session.roundHistory || []).map((round) => result.byTeam
+    ? { ...round, scores: sumByTeam(round.scores), totals: sumByTeam(round.totals) }
+    : round);
+  const nameOf = (id) => result.byTeam ? getTeamName(session, id) : getPlayerName(session, id);
+  const isMine = (id) => result.byTeam ? String(session.teams?.[playerId]) === id : id === playerId;
+  const winnerNames = result.winners.map((id) => escapeHtml(nameOf(id))).join("、");
+
+  let rank = 1;
+  const standings = result.standings.map((entry, i) => {
+    const prev = result.standings[i - 1];
+    if (prev && (entry.total < prev.total || (result.winners.includes(prev.playerId) && !result.winners.includes(entry.playerId)))) {
+      rank = i + 1;
+    }
+    return { ...entry, rank };
+  });
+
+  return `
+    <div class="screen final">
+      <p class="reveal-label">冠军</p>
+      <p class="big-word">${winnerNames || "-"}</p>
+      ${result.tiebreak ? `<p class="hint">${TIEBREAK_NOTES[result.tiebreak]}</p>` : ""}
+
+      <div class="leaderboard">
+        <h2>最终排名</h2>
+        <table class="leaderboard-table">
+          <thead>
+            <tr>
+              <th class="col-rank">排名</th>
+              <th class="col-name">${result.byTeam ? "队伍" : "玩家"}</th>
+              <th class="col-round">胜轮</th>
+              <th class="col-total">总分</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${standings.map((entry) => `
+              <tr class="${isMine(entry.playerId) ? "you" : ""}">
+                <td class="col-rank">${entry.rank}</td>
+                <td class="col-name">${escapeHtml(nameOf(entry.playerId))}</td>
+                <td class="col-round">${entry.roundWins}</td>
+                <td class="col-total">${entry.total}</td>
+              </tr>
+            `).join("")}
+          </tbody>
+        </table>
+      </div>
+
+      ${history.length > 0 ? `
+        <div class="leaderboard match-progression">
+          <h2>每轮得分</h2>
+          <div class="match-progression-scroll">
+            <table class="leaderboard-table">
+              <thead>
+                <tr>
+                  <th class="col-name">${result.byTeam ? "队伍" : "玩家"}</th>
+                  ${history.map((round) => `<th>第${round.roundNumber}轮</th>`).join("")}
+                </tr>
+              </thead>
+              <tbody>
+                ${standings.map((entry) => `
+                  <tr class="${isMine(entry.playerId) ? "you" : ""}">
+                    <td class="col-name">${escapeHtml(nameOf(entry.playerId))}</td>
+                    ${history.map((round) => {
+                      const gained = round.scores?.[entry.playerId] ?? 0;
+                      return `<td>${round.totals?.[entry.playerId] ?? 0}${gained !== 0 ? ` <span class="round-score">${gained > 0 ? "+" : ""}${gained}</span>` : ""}</td>`;
+                    }).join("")}
+                  </tr>
+                `).join("")}
+              </tbody>
+            </table>
+          </div>
         </div>
       ` : ""}
+
+      ${iAmHost ? `
+        <div class="result-actions">
+          <button class="btn primary" data-action="new-match">回到大厅，开始新比赛</button>
+        </div>
+      ` : `<p class="hint">等待房主开始新比赛...</p>`}
     </div>
   `;
 }
@@ -1211,12 +2530,23 @@ function attachListeners(root, playerId, sendAction, helpers = {}, session = nul
     el.addEventListener("change", () => {
       let newConfig = buildConfigFromForm(root, currentConfig);
 
-      // When dealer toggle changes, auto-adjust undercoverCount to keep sum = capacity
-      if (configKey === "dealerToggle") {
+      // When the dealer toggle or count changes, auto-adjust undercoverCount to keep sum = capacity
+      if (configKey === "dealerToggle" || configKey === "dealerCount") {
         const { capacity, dealerCount, civilianCount, blankCount } = newConfig;
         newConfig = { ...newConfig, undercoverCount: Math.max(0, capacity - dealerCount - civilianCount - blankCount) };
       }
 
+      // Leaving auto roles: start the fixed counts from the full-room split
+      if (configKey === "autoRoles" && !newConfig.autoRoles) {
+        newConfig = { ...newConfig, ...getAutoRoleCounts({ ...newConfig, autoRoles: true }, newConfig.capacity) };
+      }
+
+      // Entering elimination mode: no dealer, and civilians must outnumber undercovers
+      if (configKey === "eliminationToggle" && newConfig.gameMode === "elimination") {
+        const undercoverCount = Math.max(1, Math.floor(newConfig.capacity / 3));
+        newConfig = { ...newConfig, undercoverCount, blankCount: 0, civilianCount: newConfig.capacity - undercoverCount };
+      }
+
       const validation = validateConfig(newConfig);
 
       if (validation.valid) {
@@ -1225,6 +2555,36 @@ function attachListeners(root, playerId, sendAction, helpers = {}, session = nul
     });
   });
 
+  // Team controls (host, lobby)
+  root.querySelectorAll("[data-set-team]").forEach((el) => {
+    el.addEventListener("change", () => {
+      sendAction({ type: "setTeam", targetId: el.dataset.setTeam, team: parseInt(el.value, 10) });
+    });
+  });
+  root.querySelectorAll("[data-custom-words]").forEach((el) => {
+    const key = el.dataset.customWords;
+    el.addEventListener(el.tagName === "SELECT" ? "change" : "input", () => { customWordsDraft[key] = el.value; });
+  });
+
+  root.querySelectorAll("[data-bot-difficulty]").forEach((el) => {
+    el.addEventListener("change", () => { botDifficultyDraft = el.value; });
+  });
+
+  root.querySelectorAll("[data-word-pool]").forEach((el) => {
+    el.addEventListener("input", () => { wordPoolDraft[el.dataset.wordPool] = el.value; });
+  });
+
+  root.querySelectorAll("[data-steal-input]").forEach((el) => {
+    el.addEventListener("input", () => { stealDraft = el.value; });
+  });
+
+  root.querySelectorAll("[data-team-name]").forEach((el) => {
+    el.addEventListener("change", () => {
+      const name = el.value.trim();
+      if (name) sendAction({ type: "renameTeam", team: parseInt(el.dataset.teamName, 10), name });
+    });
+  });
+
   // Scoring rule input listeners (use input event to sync immediately, change to persist)
   root.querySelectorAll("[data-scoring]").forEach((el) => {
     el.addEventListener("input", (e) => {
@@ -1301,11 +2661,15 @@ function attachListeners(root, playerId, sendAction, helpers = {}, session = nul
             return;
           }
           if (capacityError) capacityError.style.display = "none";
+          const createError = document.getElementById("create-error");
+          if (createError) createError.style.display = "none";
+
+          const passcode = document.getElementById("room-passcode")?.value?.trim() ?? "";
 
           helpers.setStoredPlayerName?.(name);
           // Generate room ID client-side, connect WebSocket with pending create action
           const roomId = helpers.generateRoomId?.() ?? Math.random().toString(36).slice(2, 11);
-          helpers.connectToRoom?.(roomId, { type: "create", playerName: name, capacity: capacityVal });
+          helpers.connectToRoom?.(roomId, { type: "create", playerName: name, capacity: capacityVal, passcode });
           break;
         }
 
@@ -1327,14 +2691,47 @@ function attachListeners(root, playerId, sendAction, helpers = {}, session = nul
           const nameInput = document.getElementById("join-name");
           const name = nameInput?.value?.trim() ?? "";
           helpers.setStoredPlayerName?.(name);
-          sendAction({ type: "join", playerId, playerName: name });
+          // Seat token (if we ever sat here) lets us take our seat back without host approval
+          const seat = helpers.getStoredSeat?.();
+          const passcode = document.getElementById("join-passcode")?.value ?? "";
+          sendAction({
+            type: "join",
+            playerId: seat?.playerId ?? playerId,
+            playerName: name,
+            seatToken: seat?.seatToken,
+            passcode,
+          });
+          break;
+        }
+
+        case "spectate": {
+          const name = document.getElementById("join-name")?.value?.trim() ?? "";
+          helpers.setStoredPlayerName?.(name);
+          const passcode = document.getElementById("join-passcode")?.value ?? "";
+          sendAction({ type: "spectate", playerName: name, passcode });
           break;
         }
 
+        case "predict":
+          if (target) sendAction({ type: "predict", targetId: target });
+          break;
+
         case "kick":
           if (target) sendAction({ type: "kick", targetId: target });
           break;
 
+        case "pick-dealer":
+          if (target) sendAction({ type: "pickDealer", targetId: target });
+          break;
+
+        case "approve-seat":
+          if (target) sendAction({ type: "approveSeat", targetId: target });
+          break;
+
+        case "deny-seat":
+          if (target) sendAction({ type: "denySeat", targetId: target });
+          break;
+
         case "toggle-advanced": {
           advancedSettingsExpanded = !advancedSettingsExpanded;
           const advancedEl = root.querySelector(".advanced-settings");
@@ -1353,13 +2750,28 @@ function attachListeners(root, playerId, sendAction, helpers = {}, session = nul
             civilianCount: 2,
             undercoverCount: Math.max(0, currentConfig.capacity - dc - 2),
             blankCount: 0,
-            dealerRotation: false,
+            dealerRotation: "random",
             differentUndercoverWords: false,
+            autoRoles: false,
+            roleOverrides: {},
+            gameMode: "classic",
           };
 
           // If advanced settings expanded, also reset advanced settings
           if (advancedSettingsExpanded) {
             defaultConfig.revealCountdown = 15;
+            defaultConfig.voteTimeLimit = 0;
+            defaultConfig.dealTimeLimit = 0;
+            defaultConfig.afkRule = "zero";
+            defaultConfig.matchMode = "off";
+            defaultConfig.matchTarget = 5;
+            defaultConfig.teamCount = 0;
+            defaultConfig.balanceTeamRoles = false;
+            defaultConfig.balanceRoles = false;
+            defaultConfig.wordSteal = "off";
+            defaultConfig.tieBreak = "none";
+            defaultConfig.openVoting = false;
+            defaultConfig.stagedReveal = false;
             defaultConfig.dealerCanVoteBlank = false;
             defaultConfig.playerCanVoteBlank = false;
             defaultConfig.scoring = { ...DEFAULT_SCORING };
@@ -1381,6 +2793,48 @@ function attachListeners(root, playerId, sendAction, helpers = {}, session = nul
           sendAction({ type: "placeCard" });
           break;
 
+        case "force-continue":
+          sendAction({ type: "forceContinue" });
+          break;
+
+        case "steal-word": {
+          const guess = (root.querySelector("[data-steal-input]")?.value ?? "").trim();
+          if (guess) sendAction({ type: "stealWord", guess });
+          break;
+        }
+
+        case "steal-pass":
+          sendAction({ type: "stealWord", guess: "" });
+          break;
+
+        case "set-custom-words": {
+          const correct = customWordsDraft.correct.trim();
+          const wrong = parseWordList(customWordsDraft.wrong);
+          if (correct && wrong.length > 0) {
+            sendAction({ type: "setCustomWords", correct, wrong, hostRole: customWordsDraft.hostRole });
+            customWordsDraft = { correct: "", wrong: "", hostRole: customWordsDraft.hostRole };
+          }
+          break;
+        }
+
+        case "clear-custom-words":
+          sendAction({ type: "setCustomWords" });
+          break;
+
+        case "submit-pool-words": {
+          const correct = wordPoolDraft.correct.trim();
+          const wrong = parseWordList(wordPoolDraft.wrong);
+          if (correct && wrong.length > 0) {
+            sendAction({ type: "submitWords", correct, wrong });
+            wordPoolDraft = { correct: "", wrong: "" };
+          }
+          break;
+        }
+
+        case "withdraw-pool-words":
+          sendAction({ type: "submitWords" });
+          break;
+
         case "advance-play":
           sendAction({ type: "advancePlay" });
           break;
@@ -1393,6 +2847,14 @@ function attachListeners(root, playerId, sendAction, helpers = {}, session = nul
           if (target) sendAction({ type: "selectVote", targetId: target });
           break;
 
+        case "break-tie":
+          if (target) sendAction({ type: "breakTie", targetId: target });
+          break;
+
+        case "select-dealer-guess":
+          if (target) sendAction({ type: "selectDealerGuess", targetId: target });
+          break;
+
         case "select-blank-vote":
           if (target) sendAction({ type: "selectBlankVote", targetId: target });
           break;
@@ -1420,8 +2882,20 @@ function attachListeners(root, playerId, sendAction, helpers = {}, session = nul
           sendAction({ type: "startNextRound" });
           break;
 
+        case "reveal-next":
+          sendAction({ type: "advanceResultReveal" });
+          break;
+
+        case "reveal-all":
+          sendAction({ type: "advanceResultReveal", all: true });
+          break;
+
+        case "new-match":
+          sendAction({ type: "backToLobby", keepScores: false });
+          break;
+
         case "add-bot":
-          sendAction({ type: "addBot" });
+          sendAction({ type: "addBot", difficulty: botDifficultyDraft });
           break;
 
         case "copy-link": {
@@ -1443,7 +2917,7 @@ function attachListeners(root, playerId, sendAction, helpers = {}, session = nul
 
         case "switch-result-tab": {
           const tab = el.dataset.tab;
-          if (tab && (tab === 'round' || tab === 'leaderboard')) {
+          if (tab && (tab === 'round' || tab === 'leaderboard' || tab === 'spectators')) {
             resultActiveTab = tab;
             // Update tab buttons
             root.querySelectorAll(".result-tab").forEach((tabBtn) => {
@@ -1465,6 +2939,7 @@ function buildConfigFromForm(root, currentConfig = {}) {
   const getValue = (key) => {
     const el = root.querySelector(`[data-config="${key}"]`);
     if (!el) return null;
+    if (el.tagName === "SELECT") return el.value;
     return el.type === "checkbox" ? el.checked : parseInt(el.value, 10);
   };
 
@@ -1486,26 +2961,74 @@ function buildConfigFromForm(root, currentConfig = {}) {
     dealerCorrectBlank: getScoringValue("dealerCorrectBlank") ?? currentScoring.dealerCorrectBlank,
     playerCorrectBlank: getScoringValue("playerCorrectBlank") ?? currentScoring.playerCorrectBlank,
     blankEscape: getScoringValue("blankEscape") ?? currentScoring.blankEscape,
+    spectatorCorrectUndercover: getScoringValue("spectatorCorrectUndercover") ?? currentScoring.spectatorCorrectUndercover,
+    afkPenalty: getScoringValue("afkPenalty") ?? currentScoring.afkPenalty,
+    civilianTeamWin: getScoringValue("civilianTeamWin") ?? currentScoring.civilianTeamWin,
+    undercoverTeamWin: getScoringValue("undercoverTeamWin") ?? currentScoring.undercoverTeamWin,
+    undercoverWordSteal: getScoringValue("undercoverWordSteal") ?? currentScoring.undercoverWordSteal,
+    blankWordSteal: getScoringValue("blankWordSteal") ?? currentScoring.blankWordSteal,
+    dealerGuessCivilian: getScoringValue("dealerGuessCivilian") ?? currentScoring.dealerGuessCivilian,
+    dealerGuessAllCivilians: getScoringValue("dealerGuessAllCivilians") ?? currentScoring.dealerGuessAllCivilians,
   };
 
+  // Auto roles: "" in an override select means "use the recommended count"
+  const roleOverride = (key, current) => {
+    const value = getValue(key);
+    if (value === null) return current;
+    return value === "" ? null : parseInt(value, 10);
+  };
+  const roleOverrides = Object.fromEntries(Object.entries({
+    undercover: roleOverride("roleOverrideUndercover", currentConfig.roleOverrides?.undercover),
+    blank: roleOverride("roleOverrideBlank", currentConfig.roleOverrides?.blank),
+  }).filter(([, value]) => value != null));
+
+  const teamCountValue = getValue("teamCount");
+  const teamCount = teamCountValue === null ? null : parseInt(teamCountValue, 10);
+
+  const eliminationToggle = getValue("eliminationToggle");
+  const gameMode = eliminationToggle === null
+    ? (currentConfig.gameMode ?? "classic")
+    : (eliminationToggle ? "elimination" : "classic");
+
+  // Elimination mode has no dealer; turning the toggle on restores at least one
   const dealerToggle = getValue("dealerToggle");
-  const dealerCount = dealerToggle === null ? (currentConfig.dealerCount ?? 1) : (dealerToggle ? 1 : 0);
+  const currentDealerCount = currentConfig.dealerCount ?? 1;
+  const dealerCount = gameMode === "elimination"
+    ? 0
+    : dealerToggle === null
+      ? currentDealerCount
+      : dealerToggle ? (getValue("dealerCount") ?? Math.max(1, currentDealerCount)) : 0;
 
   // When dealer is off, force dealerCanVoteBlank off
   const dealerCanVoteBlank = dealerCount === 0 ? false : (getValue("dealerCanVoteBlank") ?? false);
-  const playerCanVoteBlank = getValue("playerCanVoteBlank") ?? false;
+  const playerCanVoteBlank = gameMode === "elimination" ? false : (getValue("playerCanVoteBlank") ?? false);
 
   return {
     capacity: currentConfig.capacity ?? 6,
     dealerCount,
-    civilianCount: getValue("civilianCount") ?? 2,
-    undercoverCount: getValue("undercoverCount") ?? 3,
-    blankCount: getValue("blankCount") ?? 0,
-    dealerRotation: dealerCount === 0 ? false : (getValue("dealerRotation") ?? false),
+    civilianCount: getValue("civilianCount") ?? (currentConfig.civilianCount ?? 2),
+    undercoverCount: getValue("undercoverCount") ?? (currentConfig.undercoverCount ?? 3),
+    blankCount: getValue("blankCount") ?? (currentConfig.blankCount ?? 0),
+    autoRoles: getValue("autoRoles") ?? (currentConfig.autoRoles ?? false),
+    roleOverrides,
+    dealerRotation: getValue("dealerRotation") ?? getDealerRotation(currentConfig),
     differentUndercoverWords: getValue("differentUndercoverWords") ?? false,
     dealerCanVoteBlank,
     playerCanVoteBlank,
+    gameMode,
     revealCountdown: getValue("revealCountdown") ?? (currentConfig.revealCountdown ?? DEFAULT_REVEAL_COUNTDOWN_SEC),
+    voteTimeLimit: getValue("voteTimeLimit") ?? (currentConfig.voteTimeLimit ?? 0),
+    dealTimeLimit: getValue("dealTimeLimit") ?? (currentConfig.dealTimeLimit ?? 0),
+    afkRule: getValue("afkRule") ?? (currentConfig.afkRule ?? "zero"),
+    matchMode: getValue("matchMode") ?? (currentConfig.matchMode ?? "off"),
+    matchTarget: getValue("matchTarget") ?? (currentConfig.matchTarget ?? 5),
+    teamCount: teamCount ?? (currentConfig.teamCount ?? 0),
+    balanceTeamRoles: getValue("balanceTeamRoles") ?? (currentConfig.balanceTeamRoles ?? false),
+    balanceRoles: getValue("balanceRoles") ?? (currentConfig.balanceRoles ?? false),
+    wordSteal: getValue("wordSteal") ?? (currentConfig.wordSteal ?? "off"),
+    tieBreak: getValue("tieBreak") ?? (currentConfig.tieBreak ?? "none"),
+    openVoting: getValue("openVoting") ?? (currentConfig.openVoting ?? false),
+    stagedReveal: getValue("stagedReveal") ?? (currentConfig.stagedReveal ?? false),
     scoring,
   };
 }
@@ -0,0 +1,103 @@
+/**
+ * Admin authentication for /api/* admin routes and the /admin page.
+ * The shared secret comes from the ADMIN_SECRET Worker env var
+ * (`wrangler secret put ADMIN_SECRET`, or `.dev.vars` locally).
+ *
+ * Two ways to authenticate:
+ * - Signed session cookie issued by POST /api/login (used by admin.html)
+ * - `Authorization: Bearer <ADMIN_SECRET>` header (for scripts / curl)
+ *
+ * If ADMIN_SECRET is not set, every admin request is rejected.
+ */
+
+const COOKIE_NAME = "pic9upper_admin";
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours
+
+const encoder = new TextEncoder();
+
+/** Constant-time string comparison (avoids leaking the secret via timing) */
+function safeEqual(a, b) {
+  if (typeof a !== "string" || typeof b !== "string") return false;
+  const ab = encoder.encode(a);
+  const bb = encoder.encode(b);
+  let diff = ab.length ^ bb.length;
+  for (let i = 0; i < Math.max(ab.length, bb.length); i++) {
+    diff |= (ab[i] ?? 0) ^ (bb[i] ?? 0);
+  }
+  return diff === 0;
+}
+
+async function sign(secret, payload) {
+  const key = await crypto.subtle.importKey(
+    "raw", encoder.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]
+  );
+  const sig = await crypto.subtle.sign("HMAC", key, encoder.encode(payload));
+  return [...new Uint8Array(sig)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function getCookie(request, name) {
+  const header = request.headers.get("Cookie") || "";
+  for (const part of header.split(";")) {
+    const [k, ...v] = part.trim().split("=");
+    if (k === name) return v.join("=");
+  }
+  return null;
+}
+
+/**
+ * Check whether a request carries valid admin credentials.
+ * @returns {Promise<boolean>}
+ */
+export async function isAdmin(request, env) {
+  const secret = env.ADMIN_SECRET;
+  if (!secret) return false;
+
+  const auth = request.headers.get("Authorization") || "";
+  if (auth.startsWith("Bearer ") && safeEqual(auth.slice(7), secret)) return true;
+
+  // Cookie format: <expiresAt>.<hmac(expiresAt)>
+  const cookie = getCookie(request, COOKIE_NAME);
+  if (!cookie) return false;
+  const [expiresAt, sig] = cookie.split(".");
+  if (!expiresAt || !sig || Number(expiresAt) < Date.now()) return false;
+  return safeEqual(sig, await sign(secret, expiresAt));
+}
+
+/**
+ * Handle POST /api/login — body: { secret }.
+ * Returns a Response with the signed session cookie, or 401.
+ */
+export async function handleLogin(request, env) {
+  let body = {};
+  try { body = await request.json(); } catch {}
+
+  if (!env.ADMIN_SECRET || !safeEqual(body.secret, env.ADMIN_SECRET)) {
+    return unauthorized();
+  }
+
+  const expiresAt = String(Date.now() + SESSION_TTL_MS);
+  const value = `${expiresAt}.${await sign(env.ADMIN_SECRET, expiresAt)}`;
+  return new Response(JSON.stringify({ ok: true }), {
+    headers: {
+      "Content-Type": "application/json",
+      "Set-Cookie": `${COOKIE_NAME}=${value}; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=${SESSION_TTL_MS / 1000}`,
+    },
+  });
+}
+
+/** Handle POST /api/logout — clears the session cookie */
+export function handleLogout() {
+  return new Response(JSON.stringify({ ok: true }), {
+    headers: {
+      "Content-Type": "application/json",
+      "Set-Cookie": `${COOKIE_NAME}=; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=0`,
+    },
+  });
+}
+
+export function unauthorized() {
+  return new Response(JSON.stringify({ error: "Unauthorized" }), {
+    status: 401,
+    headers: { "Content-Type": "application/json" },
+  });
+}
@@ -0,0 +1,107 @@
+/**
+ * Bot strategies (one difficulty per bot, session.botDifficulty; see BOT_DIFFICULTIES).
+ * game.js decides when a bot acts; this module only ranks who it picks.
+ * - "random": uniform picks, the original test-player behaviour
+ * - "heuristic": plays on what a bot could plausibly know. Bots "hear" each
+ *   other's descriptions (they know other bots' words, never a human's), take
+ *   the word most bots share as the civilian word, and vote accordingly.
+ *   Bot dealers follow the votes the other bots cast.
+ * - "cheat": perfect information (reads session.roles), for balance testing
+ *
+ * Every ranking starts from an rng shuffle, so ties are broken from the round
+ * seed and replays stay deterministic.
+ */
+
+import { Role } from "./session.js";
+
+const BLANK_WORD = "白板";
+
+export function getBotDifficulty(session, botId) {
+  return session.botDifficulty?.[botId] ?? "random";
+}
+
+/**
+ * Order `candidates` by how much the bot wants to pick them, best first.
+ * @param {object} session
+ * @param {string} botId
+ * @param {string[]} candidates
+ * @param {object} rng - createRng() generator
+ * @param {{ blank?: boolean }} [options] - blank: rank for a blank vote (who is 白板)
+ * @returns {string[]}
+ */
+export function rankBotTargets(session, botId, candidates, rng, { blank = false } = {}) {
+  const shuffled = rng.shuffle(candidates);
+  const difficulty = getBotDifficulty(session, botId);
+  if (difficulty === "random") return shuffled;
+
+  const score = difficulty === "cheat"
+    ? cheatScore(session, botId, blank)
+    : heuristicScore(session, botId, blank);
+  // Array.prototype.sort is stable: equal scores keep their shuffled order
+  return [...shuffled].sort((a, b) => score(b) - score(a));
+}
+
+function isBotDealer(session, botId) {
+  return (session.dealerIds || []).includes(botId);
+}
+
+function isElimination(session) {
+  return session.config?.gameMode === "elimination";
+}
+
+/** Perfect information: the bot reads everyone's role */
+function cheatScore(session, botId, blank) {
+  const roleOf = (p) => session.roles?.[p];
+  if (blank) return (p) => (roleOf(p) === Role.BLANK ? 1 : 0);
+  // Elimination: civilians vote out everyone else, the others vote out civilians.
+  // Otherwise every vote (dealers' included) is a guess at the civilians.
+  if (isElimination(session) && roleOf(botId) === Role.CIVILIAN) {
+    return (p) => (roleOf(p) === Role.CIVILIAN ? 0 : 1);
+  }
+  return (p) => (roleOf(p) === Role.CIVILIAN ? 1 : 0);
+}
+
+/** What a bot can work out from the other bots' descriptions and votes */
+function heuristicScore(session, botId, blank) {
+  const bots = session.players.filter((p) => p.startsWith("bot-"));
+  const wordOf = (p) => (bots.includes(p) ? session.assignments?.[p] ?? null : null);
+
+  if (isBotDealer(session, botId)) {
+    // Dealers have no word: follow the other bots' votes (players vote for civilians)
+    const received = {};
+    for (const voter of bots) {
+      for (const target of [].concat(session.votes?.[voter] ?? [])) {
+        received[target] = (received[target] || 0) + 1;
+      }
+    }
+    return (p) => received[p] || 0;
+  }
+
+  // +1: a bot holding the civilian word, -1: a bot holding another word, 0: a human
+  const civilianWord = guessCivilianWord(bots.map(wordOf));
+  const likelyCivilian = (p) => {
+    const word = wordOf(p);
+    if (word == null || civilianWord == null) return 0;
+    return word === civilianWord ? 1 : -1;
+  };
+
+  if (blank) return (p) => (wordOf(p) === BLANK_WORD ? 2 : -likelyCivilian(p));
+  // Elimination: a bot that thinks it is a civilian votes out the others; an
+  // undercover or blank votes out civilians and so spares its own side
+  if (isElimination(session) && wordOf(botId) === civilianWord && civilianWord != null) {
+    return (p) => -likelyCivilian(p);
+  }
+  return likelyCivilian;
+}
+
+/** The word most bots share (blanks and dealers excluded); null if it is a tie */
+function guessCivilianWord(words) {
+  const counts = {};
+  for (const word of words) {
+    if (word == null || word === BLANK_WORD) continue;
+    counts[word] = (counts[word] || 0) + 1;
+  }
+  const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  if (ranked.length === 0 || ranked[1]?.[1] === ranked[0][1]) return null;
+  return ranked[0][0];
+}
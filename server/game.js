@@ -4,16 +4,24 @@
  * { session } on success or { error: { code, message } } on failure.
  *
  * Naming: handle${Action} for pure functions, vs on${Action} for DO event handlers.
+ *
+ * Nothing here may depend on hidden state: generated IDs, RNG seeds and
+ * timestamps are passed in (with live defaults), so replay.js can rebuild a
+ * session exactly from the room's action log.
  */
 
 import {
   Phase, Role, createSession,
-  getDefaultConfig, validateConfig,
+  getDefaultConfig, validateConfig, getRevealSteps, getDealerRotation, resolveRoleCounts,
+  BOT_DIFFICULTIES,
   MIN_PLAYERS, MAX_PLAYERS,
   generateId,
 } from "./session.js";
 
 import { selectWordGroup, getUndercoverWords } from "./words.js";
+import { rankBotTargets } from "./bots.js";
+import { createRng, randomSeed } from "./rng.js";
+import { isSameWord, normalizeWord } from "./normalize.js";
 
 /* ------------------------------------------------------------------ */
 /*  Helpers                                                            */
@@ -25,68 +33,222 @@ export function isHost(session, playerId) {
   return !!name && name === session.hostName;
 }
 
+/**
+ * Dealers this round. session.dealerId is the lead dealer (dealerIds[0]),
+ * the one who advances phases; older sessions only have dealerId.
+ */
+export function getDealerIds(session) {
+  return session?.dealerIds ?? (session?.dealerId ? [session.dealerId] : []);
+}
+
+export function isDealer(session, playerId) {
+  return !!playerId && getDealerIds(session).includes(playerId);
+}
+
+/** Players who place a card in DEAL and can be voted for (everyone but the dealers and the moderator) */
+function getNonDealers(session) {
+  const dealerIds = getDealerIds(session);
+  return session.players.filter((p) => !dealerIds.includes(p) && p !== session.moderatorId);
+}
+
+/** Civilians dealt this round (a custom-words moderator takes one civilian seat) */
+function getCivilianCount(session) {
+  return Math.max(1, (session.config?.civilianCount ?? 1) - (session.moderatorId ? 1 : 0));
+}
+
 export function getVoteCount(session, playerId) {
-  const isDealer = session.dealerId && playerId === session.dealerId;
-  return isDealer ? (session.config?.dealerVoteCount ?? 2) : 1;
+  return isDealer(session, playerId) ? (session.config?.dealerVoteCount ?? 2) : 1;
 }
 
 /** Check if a player can vote for blank in this game */
 export function canVoteBlank(session, playerId) {
   const config = session.config || {};
-  if (config.blankCount <= 0) return false;
-  if (session.dealerId && playerId === session.dealerId) return !!config.dealerCanVoteBlank;
+  if (config.blankCount <= 0 || isElimination(session)) return false;
+  if (isDealer(session, playerId)) return !!config.dealerCanVoteBlank;
   return !!config.playerCanVoteBlank;
 }
 
-/** Who can press phase-advancement buttons (reveal word, start voting) */
+export function isElimination(session) {
+  return session?.config?.gameMode === "elimination";
+}
+
+/** Players who still vote this round (everyone except the moderator and those voted out in elimination mode) */
+export function getVoters(session) {
+  const eliminated = new Set(session.eliminated || []);
+  return session.players.filter((p) => !eliminated.has(p) && p !== session.moderatorId);
+}
+
+export function isSpectator(session, id) {
+  return !!id && (session?.spectators || []).includes(id);
+}
+
+/** Who can press phase-advancement buttons (reveal word, start voting): the lead dealer, or the host without dealers */
 function canAdvancePhase(session, playerId) {
   if (session.dealerId) return playerId === session.dealerId;
   return isHost(session, playerId);
 }
 
+function advanceDeniedMessage(session) {
+  if (!session.dealerId) return "只有房主可以继续";
+  return getDealerIds(session).length > 1 ? "只有主庄家可以继续" : "只有庄家可以继续";
+}
+
+/* ------------------------------------------------------------------ */
+/*  Room membership                                                    */
+/* ------------------------------------------------------------------ */
+
+/** New room with `playerId` as host */
+export function handleCreate(roomId, playerId, name, capacity = 6, passcode = null, now = Date.now()) {
+  return {
+    session: {
+      ...createSession(roomId, capacity, now),
+      players: [playerId],
+      playerNames: { [playerId]: name },
+      hostName: name,
+      passcode: passcode || null,
+    },
+  };
+}
+
+function isNameTaken(session, name) {
+  const lower = name.toLowerCase();
+  return [...Object.values(session.playerNames), ...Object.values(session.spectatorNames || {})]
+    .some((n) => n.toLowerCase() === lower);
+}
+
+/** New player takes a free seat (LOBBY only) */
+export function handleJoin(session, playerId, name) {
+  if (!session) return { error: { code: "not_found", message: "房间不存在" } };
+  if (session.phase !== Phase.LOBBY) return { error: { code: "invalid", message: "无法加入进行中的游戏" } };
+  if (isNameTaken(session, name)) return { error: { code: "duplicate_name", message: "该名字已被使用" } };
+
+  const capacity = session.config?.capacity || MAX_PLAYERS;
+  if (session.players.length >= capacity) return { error: { code: "full", message: "房间已满" } };
+
+  return {
+    session: syncTeams({
+      ...session,
+      players: [...session.players, playerId],
+      playerNames: { ...session.playerNames, [playerId]: name },
+    }),
+  };
+}
+
+/** Leave voluntarily: players only in LOBBY, spectators any time. Session may become null. */
+export function handleLeave(session, playerId) {
+  if (!session) return { error: { code: "not_found", message: "房间不存在" } };
+  if (session.phase !== Phase.LOBBY && !isSpectator(session, playerId)) {
+    return { error: { code: "invalid", message: "游戏进行中无法离开" } };
+  }
+  return { session: doLeave(session, playerId) };
+}
+
+export function handleKick(session, playerId, targetId) {
+  if (!session || session.phase !== Phase.LOBBY) return { error: { code: "invalid", message: "只能在大厅中踢人" } };
+  if (!isHost(session, playerId)) return { error: { code: "not_host", message: "只有房主可以踢人" } };
+  if (!targetId || !session.players.includes(targetId)) return { error: { code: "invalid", message: "Invalid target" } };
+  return { session: doLeave(session, targetId) };
+}
+
 /* ------------------------------------------------------------------ */
 /*  Game start                                                         */
 /* ------------------------------------------------------------------ */
 
-export function doStartGame(session) {
+/**
+ * Host starts the game from the lobby. The room must be full and the config
+ * valid; with config.autoRoles any count from MIN_PLAYERS up will do.
+ */
+export function handleStart(session, playerId, seed = randomSeed(), now = Date.now()) {
+  if (!session || session.phase !== Phase.LOBBY) {
+    return { error: { code: "invalid", message: "只能在大厅中开始游戏" } };
+  }
+  if (!isHost(session, playerId)) {
+    return { error: { code: "not_host", message: "只有房主可以开始游戏" } };
+  }
+
+  const count = session.players.length;
   const config = session.config;
+  if (config.autoRoles && count < MIN_PLAYERS) {
+    return { error: { code: "invalid", message: `至少需要 ${MIN_PLAYERS} 名玩家 (当前: ${count})` } };
+  }
+  if (!config.autoRoles && count !== config.capacity) {
+    return { error: { code: "invalid", message: `需要 ${config.capacity} 名玩家 (当前: ${count})` } };
+  }
+  const validation = validateConfig(config, count);
+  if (!validation.valid) {
+    return { error: { code: "invalid_config", message: validation.errors.join("; ") } };
+  }
+  if (isTeamMode(session) && new Set(Object.values(session.teams)).size < config.teamCount) {
+    return { error: { code: "invalid", message: "每个队伍至少需要1名玩家" } };
+  }
+  const customWordsError = session.customWords
+    ? checkWordOwnerRole({ ...session, config: resolveRoleCounts(config, count) }, session.customWords.hostRole)
+    : null;
+  if (customWordsError) return { error: { code: "invalid_config", message: customWordsError } };
+
+  return doStartGame(session, seed, now);
+}
+
+/**
+ * Deal a new round. All randomness comes from `seed`, so dealing the same
+ * session with the same seed reproduces the exact same deal.
+ * With config.autoRoles the role counts are resolved for the players seated
+ * now and stored in the round's config.
+ * @param {object} lobbySession
+ * @param {string} [seed] - RNG seed (default: fresh crypto seed); stored as session.roundSeed
+ * @param {number} [now] - Deal time, for the DEAL/PLAY deadline
+ */
+export function doStartGame(lobbySession, seed = randomSeed(), now = Date.now()) {
+  const session = { ...lobbySession, config: resolveRoleCounts(lobbySession.config, lobbySession.players.length) };
+  const config = session.config;
+  const rng = createRng(seed);
 
-  // Select word group (avoiding recently used)
-  const wordSelection = selectWordGroup(session.usedWordGroups || []);
+  // Select word group: host's custom words, a player-submitted group, or the
+  // library (avoiding recently used). Whoever already knows the words deals
+  // (lead dealer) or sits the round out as moderator.
+  const { selection: wordSelection, ownerId, ownerRole, submittedBy } = selectRoundWords(session, rng);
+  const moderatorId = ownerRole === "moderator" ? ownerId : null;
+  const hostDealerId = ownerRole === "dealer" ? ownerId : null;
 
   // Assign roles
   const roles = {};
   const assignments = {};
-  const shuffledPlayers = [...session.players].sort(() => Math.random() - 0.5);
+  const seated = moderatorId ? session.players.filter((p) => p !== moderatorId) : session.players;
+  const shuffledPlayers = rng.shuffle(seated);
 
   // Get human players (non-bots) for dealer selection
-  const humanPlayers = session.players.filter((p) => !p.startsWith("bot-"));
-  const shuffledHumans = [...humanPlayers].sort(() => Math.random() - 0.5);
-
-  // Determine dealer (always a human player, never a bot)
-  let dealerId = null;
-  if (config.dealerCount === 1 && humanPlayers.length > 0) {
-    if (config.dealerRotation && session.dealerHistory.length > 0) {
-      const lastDealer = session.dealerHistory[session.dealerHistory.length - 1];
-      const lastIdx = humanPlayers.indexOf(lastDealer);
-      if (lastIdx >= 0) {
-        dealerId = humanPlayers[(lastIdx + 1) % humanPlayers.length];
-      } else {
-        dealerId = humanPlayers[0];
-      }
-    } else {
-      dealerId = shuffledHumans[0];
+  const humanPlayers = seated.filter((p) => !p.startsWith("bot-"));
+  const shuffledHumans = rng.shuffle(humanPlayers);
+
+  // Determine dealers (human players; bots only fill in if there are too few humans)
+  const dealerIds = hostDealerId ? [hostDealerId] : [];
+  const dealerCount = Math.min(config.dealerCount || 0, seated.length);
+  if (dealerCount > 0 && humanPlayers.length > 0) {
+    const candidates = orderDealerCandidates(session, humanPlayers, shuffledHumans);
+    for (const p of [...candidates, ...shuffledPlayers]) {
+      if (dealerIds.length >= dealerCount) break;
+      if (!dealerIds.includes(p)) dealerIds.push(p);
+    }
+    for (const id of dealerIds) {
+      roles[id] = Role.DEALER;
+      assignments[id] = null;
     }
-    roles[dealerId] = Role.DEALER;
-    assignments[dealerId] = null;
   }
+  const dealerId = dealerIds[0] ?? null;
 
   // Get non-dealer players for role assignment (shuffled)
-  const nonDealerShuffled = shuffledPlayers.filter((p) => p !== dealerId);
+  // (team balancing takes precedence over per-player balancing)
+  let nonDealerShuffled = shuffledPlayers.filter((p) => !dealerIds.includes(p));
+  if (isTeamMode(session) && config.balanceTeamRoles) {
+    nonDealerShuffled = balanceTeamRoleOrder(session, nonDealerShuffled, rng);
+  } else if (config.balanceRoles) {
+    nonDealerShuffled = balancePlayerRoleOrder(session, nonDealerShuffled, rng);
+  }
   let assignIdx = 0;
 
-  // Assign civilians (see correct word)
-  for (let i = 0; i < config.civilianCount; i++) {
+  // Assign civilians (see correct word); a moderator takes one civilian seat
+  const civilianCount = config.civilianCount - (moderatorId ? 1 : 0);
+  for (let i = 0; i < civilianCount; i++) {
     const pid = nonDealerShuffled[assignIdx++];
     roles[pid] = Role.CIVILIAN;
     assignments[pid] = wordSelection.correct;
@@ -96,7 +258,8 @@ export function doStartGame(session) {
   const undercoverWords = getUndercoverWords(
     wordSelection.wrong,
     config.undercoverCount,
-    config.differentUndercoverWords
+    config.differentUndercoverWords,
+    rng
   );
   for (let i = 0; i < config.undercoverCount; i++) {
     const pid = nonDealerShuffled[assignIdx++];
@@ -115,23 +278,211 @@ export function doStartGame(session) {
     ...session,
     phase: Phase.DEAL,
     dealerId,
+    dealerIds,
+    moderatorId,
+    customWords: null,
+    wordPool: withoutKey(session.wordPool, submittedBy),
     words: {
       correct: wordSelection.correct,
       wrong: wordSelection.wrong,
       groupIndex: wordSelection.groupIndex,
+      submittedBy,
     },
-    usedWordGroups: [...(session.usedWordGroups || []), wordSelection.groupIndex],
+    usedWordGroups: wordSelection.groupIndex >= 0
+      ? [...(session.usedWordGroups || []), wordSelection.groupIndex]
+      : [...(session.usedWordGroups || [])],
     roles,
     assignments,
     ready: {},
     cardPlaced: {},
+    dealDeadline: config.dealTimeLimit > 0 ? now + config.dealTimeLimit * 1000 : null,
+    afk: [],
+    eliminated: [],
+    eliminations: [],
+    outcome: null,
+    roundSeed: seed,
+    teamRoleHistory: isTeamMode(session)
+      ? addTeamRoles(session.teamRoleHistory, session.teams, roles)
+      : session.teamRoleHistory,
+    roleHistory: addPlayerRoles(session.roleHistory, roles),
     roundNumber: (session.roundNumber || 0) + 1,
-    dealerHistory: dealerId
-      ? [...(session.dealerHistory || []), dealerId]
+    dealerHistory: dealerIds.length > 0
+      ? [...(session.dealerHistory || []), ...dealerIds]
       : session.dealerHistory,
+    dealerPicks: [],
+  };
+
+  return { session: doBotActions(newSession, now) };
+}
+
+/**
+ * Human players in the order they should take the dealer seats this round,
+ * following config.dealerRotation (see DEALER_ROTATIONS).
+ * @param {string[]} humanPlayers - Seated humans in seat order
+ * @param {string[]} shuffledHumans - The same players shuffled by the round's rng
+ */
+function orderDealerCandidates(session, humanPlayers, shuffledHumans) {
+  const history = session.dealerHistory || [];
+  // Seat order starting after the last dealer (from the first seat if they left)
+  const start = humanPlayers.indexOf(history[history.length - 1]) + 1;
+  const seatOrder = humanPlayers.map((_, i) => humanPlayers[(start + i) % humanPlayers.length]);
+  const timesDealt = (p) => history.filter((d) => d === p).length;
+  // Array.prototype.sort is stable, so players with equal keys keep their order
+  const byKey = (players, key) => [...players].sort((a, b) => key(a) - key(b));
+
+  switch (getDealerRotation(session.config)) {
+    case "seat":
+      return history.length > 0 ? seatOrder : shuffledHumans;
+    case "fewest":
+      return byKey(seatOrder, timesDealt);
+    case "cycle":
+      return byKey(shuffledHumans, timesDealt);
+    case "score":
+      return byKey(seatOrder, (p) => session.totalScores?.[p] || 0);
+    case "manual": {
+      const picks = (session.dealerPicks || []).filter((p) => session.players.includes(p));
+      return [...picks, ...seatOrder.filter((p) => !picks.includes(p))];
+    }
+    default:
+      return shuffledHumans;
+  }
+}
+
+/**
+ * Toggle a player in the host's pick of next round's dealers
+ * (LOBBY, config.dealerRotation "manual"), up to config.dealerCount players.
+ */
+export function handlePickDealer(session, playerId, targetId) {
+  if (!session || session.phase !== Phase.LOBBY) return { error: { code: "invalid", message: "只能在大厅中指定庄家" } };
+  if (!isHost(session, playerId)) return { error: { code: "not_host", message: "只有房主可以指定庄家" } };
+  if (getDealerRotation(session.config) !== "manual" || !(session.config.dealerCount > 0)) {
+    return { error: { code: "invalid", message: "未开启房主指定庄家" } };
+  }
+  if (!session.players.includes(targetId)) return { error: { code: "invalid", message: "Invalid target" } };
+
+  const picks = session.dealerPicks || [];
+  if (picks.includes(targetId)) {
+    return { session: { ...session, dealerPicks: picks.filter((p) => p !== targetId) } };
+  }
+  if (picks.length >= session.config.dealerCount) {
+    return { error: { code: "invalid", message: `最多指定 ${session.config.dealerCount} 位庄家` } };
+  }
+  return { session: { ...session, dealerPicks: [...picks, targetId] } };
+}
+
+/* ------------------------------------------------------------------ */
+/*  Custom words and word pool                                         */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Host enters the words for the next deal (LOBBY). An empty correct word
+ * clears them. The words are only ever sent back to the host (view.js).
+ * @param {string} hostRole - "dealer": the host is dealt the lead dealer seat;
+ *   "moderator": the host sits the round out and runs it
+ */
+export function handleSetCustomWords(session, playerId, correct, wrong = [], hostRole = "dealer") {
+  if (!session || session.phase !== Phase.LOBBY) return { error: { code: "invalid", message: "只能在大厅中设置词语" } };
+  if (!isHost(session, playerId)) return { error: { code: "not_host", message: "只有房主可以设置词语" } };
+
+  if (!String(correct ?? "").trim()) return { session: { ...session, customWords: null } };
+
+  const parsed = parseWordGroup(correct, wrong);
+  if (parsed.error) return { error: { code: "invalid", message: parsed.error } };
+
+  return { session: { ...session, customWords: { ...parsed.group, hostRole } } };
+}
+
+/**
+ * Player submits a word group to the room's pool (LOBBY), one per player; a
+ * new submission replaces their old one and an empty correct word withdraws
+ * it. Each player only ever sees their own submission (view.js).
+ */
+export function handleSubmitWords(session, playerId, correct, wrong = []) {
+  if (!session || session.phase !== Phase.LOBBY) return { error: { code: "invalid", message: "只能在大厅中投稿词语" } };
+  if (!session.players.includes(playerId)) return { error: { code: "invalid", message: "Player not in room" } };
+
+  if (!String(correct ?? "").trim()) return { session: { ...session, wordPool: withoutKey(session.wordPool, playerId) } };
+
+  const parsed = parseWordGroup(correct, wrong);
+  if (parsed.error) return { error: { code: "invalid", message: parsed.error } };
+
+  return { session: { ...session, wordPool: { ...(session.wordPool || {}), [playerId]: parsed.group } } };
+}
+
+/**
+ * Trim a player-entered word group and check it: at least one undercover
+ * word, and no two words the same after normalization.
+ * @returns {{ group: { correct, wrong } } | { error: string }}
+ */
+function parseWordGroup(correct, wrong) {
+  const correctWord = String(correct ?? "").trim();
+  const wrongWords = (wrong || []).map((w) => String(w).trim()).filter(Boolean);
+  if (wrongWords.length === 0) return { error: "至少需要1个卧底词" };
+  const normalized = [correctWord, ...wrongWords].map(normalizeWord);
+  if (new Set(normalized).size !== normalized.length) return { error: "词语不能重复" };
+  return { group: { correct: correctWord, wrong: wrongWords } };
+}
+
+/**
+ * Pick this round's words and who already knows them.
+ * Order: the host's custom words, then a random pool group whose submitter is
+ * still seated, then the library. A pool group is only drawn when its
+ * submitter can take the round off: lead dealer if dealers are on, otherwise
+ * moderator (if the config has a civilian seat to spare).
+ * @returns {{ selection: { groupIndex, correct, wrong }, ownerId, ownerRole, submittedBy }}
+ */
+function selectRoundWords(session, rng) {
+  const { customWords } = session;
+  if (customWords) {
+    return {
+      selection: { groupIndex: -1, correct: customWords.correct, wrong: [...customWords.wrong] },
+      ownerId: session.players.find((p) => isHost(session, p)) ?? null,
+      ownerRole: customWords.hostRole,
+      submittedBy: null,
+    };
+  }
+
+  const ownerRole = session.config.dealerCount > 0 ? "dealer" : "moderator";
+  const submitters = checkWordOwnerRole(session, ownerRole)
+    ? []
+    : Object.keys(session.wordPool || {}).filter((p) => session.players.includes(p));
+  if (submitters.length > 0) {
+    const ownerId = rng.pick(submitters);
+    const { correct, wrong } = session.wordPool[ownerId];
+    return { selection: { groupIndex: -1, correct, wrong: [...wrong] }, ownerId, ownerRole, submittedBy: ownerId };
+  }
+
+  return {
+    selection: selectWordGroup(session.usedWordGroups || [], rng),
+    ownerId: null,
+    ownerRole: null,
+    submittedBy: null,
   };
+}
+
+/** Copy of a Map<PlayerID, *> without `key` (same object shape when absent) */
+function withoutKey(map, key) {
+  const out = { ...(map || {}) };
+  if (key) delete out[key];
+  return out;
+}
 
-  return { session: doBotActions(newSession) };
+/**
+ * Whether the config leaves room for the word owner (the player who knows the
+ * words) to deal or moderate; error message or null
+ */
+function checkWordOwnerRole(session, role) {
+  const { config } = session;
+  if (role === "dealer") {
+    return config.dealerCount > 0 ? null : "房主做庄家需要开启庄家";
+  }
+  // The moderator takes one civilian seat
+  const civilians = config.civilianCount - 1;
+  if (civilians < 1) return "房主做主持人需要至少2名平民";
+  if (isElimination(session) && civilians <= config.undercoverCount + config.blankCount) {
+    return "房主做主持人后平民数量必须多于卧底和白板";
+  }
+  return null;
 }
 
 /* ------------------------------------------------------------------ */
@@ -150,10 +501,8 @@ export function handlePlaceCard(session, playerId) {
 
   const cardPlaced = { ...(session.cardPlaced || {}), [playerId]: true };
 
-  // All players except dealer need to place card (if dealer exists)
-  const required = session.dealerId
-    ? session.players.filter((p) => p !== session.dealerId)
-    : session.players;
+  // All players except the dealers need to place card
+  const required = getNonDealers(session);
   const allPlaced = required.every((p) => cardPlaced[p]);
 
   return {
@@ -169,42 +518,126 @@ export function handlePlaceCard(session, playerId) {
 /*  PLAY → REVEAL → VOTE                                               */
 /* ------------------------------------------------------------------ */
 
-export function handleAdvancePlay(session, playerId) {
+export function handleAdvancePlay(session, playerId, now = Date.now()) {
   if (!session || session.phase !== Phase.PLAY) return { error: { code: "invalid", message: "Not in PLAY phase" } };
   if (!canAdvancePhase(session, playerId)) {
-    const msg = session.dealerId ? "只有庄家可以继续" : "只有房主可以继续";
-    return { error: { code: "not_authorized", message: msg } };
+    return { error: { code: "not_authorized", message: advanceDeniedMessage(session) } };
   }
 
+  return { session: endPlay(session, now) };
+}
+
+/** Leave PLAY: reveal the word, or (elimination mode, word stays secret) go straight to the vote */
+function endPlay(session, now) {
+  return isElimination(session) ? openVote(session, now) : revealWord(session, now);
+}
+
+function revealWord(session, now) {
   return {
-    session: {
-      ...session,
-      phase: Phase.REVEAL,
-      ready: {},
-      cardPlaced: {},
-      revealStartTime: Date.now(),
-    },
+    ...session,
+    phase: Phase.REVEAL,
+    ready: {},
+    cardPlaced: {},
+    revealStartTime: now,
+    dealDeadline: null,
   };
 }
 
-export function handleAdvanceReveal(session, playerId) {
+/* ------------------------------------------------------------------ */
+/*  DEAL/PLAY time limit + AFK                                         */
+/* ------------------------------------------------------------------ */
+
+/** The deadline that applies to the current phase, if any (room.js arms its alarm with it) */
+export function getPhaseDeadline(session) {
+  if (!session) return null;
+  if (session.phase === Phase.VOTE) return session.voteDeadline ?? null;
+  if (session.phase === Phase.DEAL || session.phase === Phase.PLAY) return session.dealDeadline ?? null;
+  return null;
+}
+
+/**
+ * Push the round past whoever is holding it up, flagging them AFK for the round.
+ * DEAL: players who haven't placed a card are marked placed → PLAY.
+ * PLAY: the lead dealer never revealed the word → REVEAL.
+ * STEAL: stealers who haven't guessed pass (not flagged AFK) → RESULT.
+ */
+function forceContinue(session, now) {
+  if (session.phase === Phase.STEAL) {
+    const wordSteals = { ...(session.wordSteals || {}) };
+    for (const p of session.stealers || []) {
+      if (!wordSteals[p]) wordSteals[p] = { guess: "", correct: false };
+    }
+    return { session: showResult({ ...session, wordSteals }) };
+  }
+
+  const afk = new Set(session.afk || []);
+
+  if (session.phase === Phase.DEAL) {
+    const required = getNonDealers(session);
+    const cardPlaced = { ...(session.cardPlaced || {}) };
+    for (const p of required) {
+      if (!cardPlaced[p]) {
+        cardPlaced[p] = true;
+        afk.add(p);
+      }
+    }
+    // The DEAL/PLAY window carries over into PLAY unless it has run out
+    const dealDeadline = session.dealDeadline && now < session.dealDeadline ? session.dealDeadline : null;
+    return { session: { ...session, cardPlaced, afk: [...afk], phase: Phase.PLAY, dealDeadline } };
+  }
+
+  if (session.dealerId) afk.add(session.dealerId);
+  return { session: endPlay({ ...session, afk: [...afk] }, now) };
+}
+
+/** Host override: continue without waiting for the stragglers */
+export function handleForceContinue(session, playerId, now = Date.now()) {
+  if (!session || ![Phase.DEAL, Phase.PLAY, Phase.STEAL].includes(session.phase)) {
+    return { error: { code: "invalid", message: "只能在发牌/放牌/猜词阶段强制继续" } };
+  }
+  if (!isHost(session, playerId)) return { error: { code: "not_host", message: "只有房主可以强制继续" } };
+  return forceContinue(session, now);
+}
+
+/** DEAL/PLAY time limit reached (fired by the room's alarm) */
+export function handleDealTimeout(session, now = Date.now()) {
+  if (!session || (session.phase !== Phase.DEAL && session.phase !== Phase.PLAY)) {
+    return { error: { code: "invalid", message: "Not in DEAL/PLAY phase" } };
+  }
+  if (!session.dealDeadline || now < session.dealDeadline) return { error: { code: "invalid", message: "Deal deadline not reached" } };
+  return forceContinue(session, now);
+}
+
+export function handleAdvanceReveal(session, playerId, now = Date.now()) {
   if (!session || session.phase !== Phase.REVEAL) return { error: { code: "invalid", message: "Not in REVEAL phase" } };
   if (!canAdvancePhase(session, playerId)) {
-    const msg = session.dealerId ? "只有庄家可以继续" : "只有房主可以继续";
-    return { error: { code: "not_authorized", message: msg } };
+    return { error: { code: "not_authorized", message: advanceDeniedMessage(session) } };
   }
 
+  return { session: openVote(session, now) };
+}
+
+function openVote(session, now) {
   const newSession = {
     ...session,
     phase: Phase.VOTE,
+    ready: {},
+    cardPlaced: {},
+    dealDeadline: null,
     voteSelection: {},
     votes: {},
     blankVoteSelection: {},
     blankVotes: {},
-    dealerGuess: null,
+    dealerGuessSelection: {},
+    dealerGuesses: {},
+    runoff: null,
+    mostVoted: null,
+    predictions: {},
+    voteDeadline: session.config?.voteTimeLimit > 0 ? now + session.config.voteTimeLimit * 1000 : null,
+    abstained: [],
   };
 
-  return { session: doBotActions(newSession) };
+  return doBotActions(newSession, now);
 }
 
 /* ------------------------------------------------------------------ */
@@ -213,8 +646,9 @@ export function handleAdvanceReveal(session, playerId) {
 
 export function handleSelectVote(session, playerId, targetId) {
   if (!session || session.phase !== Phase.VOTE) return { error: { code: "invalid", message: "Not in VOTE phase" } };
-  if (!session.players.includes(playerId)) return { error: { code: "invalid", message: "Player not in room" } };
-  if (!targetId || !session.players.includes(targetId)) return { error: { code: "invalid", message: "Invalid target" } };
+  if (!getVoters(session).includes(playerId)) return { error: { code: "invalid", message: "Player not voting" } };
+  if (!targetId || !getVoters(session).includes(targetId)) return { error: { code: "invalid", message: "Invalid target" } };
+  if (session.runoff) return selectRunoffVote(session, playerId, targetId);
 
   const current = [...(session.voteSelection?.[playerId] || [])];
   const idx = current.indexOf(targetId);
@@ -236,6 +670,7 @@ export function handleSelectVote(session, playerId, targetId) {
 
 export function handleSelectBlankVote(session, playerId, targetId) {
   if (!session || session.phase !== Phase.VOTE) return { error: { code: "invalid", message: "Not in VOTE phase" } };
+  if (session.runoff) return { error: { code: "invalid", message: "平票决胜中" } };
   if (!session.players.includes(playerId)) return { error: { code: "invalid", message: "Player not in room" } };
   if (!canVoteBlank(session, playerId)) return { error: { code: "invalid", message: "Blank voting not enabled" } };
   if (!targetId || !session.players.includes(targetId)) return { error: { code: "invalid", message: "Invalid target" } };
@@ -252,9 +687,38 @@ export function handleSelectBlankVote(session, playerId, targetId) {
   };
 }
 
-export function handleConfirmVote(session, playerId) {
+/**
+ * Dealer picks who they think the civilians are, separately from their votes
+ * (toggle, up to the number of civilians this round).
+ */
+export function handleSelectDealerGuess(session, playerId, targetId) {
   if (!session || session.phase !== Phase.VOTE) return { error: { code: "invalid", message: "Not in VOTE phase" } };
-  if (!session.players.includes(playerId)) return { error: { code: "invalid", message: "Player not in room" } };
+  if (session.runoff) return { error: { code: "invalid", message: "平票决胜中" } };
+  if (!isDealer(session, playerId)) return { error: { code: "invalid", message: "Only dealers guess" } };
+  if (!targetId || !getNonDealers(session).includes(targetId)) return { error: { code: "invalid", message: "Invalid target" } };
+
+  const current = [...(session.dealerGuessSelection?.[playerId] || [])];
+  const idx = current.indexOf(targetId);
+  const maxPicks = getCivilianCount(session);
+
+  if (idx >= 0) {
+    current.splice(idx, 1);
+  } else if (maxPicks === 1) {
+    current.length = 0;
+    current.push(targetId);
+  } else if (current.length < maxPicks) {
+    current.push(targetId);
+  }
+
+  return {
+    session: { ...session, dealerGuessSelection: { ...(session.dealerGuessSelection || {}), [playerId]: current } },
+  };
+}
+
+export function handleConfirmVote(session, playerId, now = Date.now()) {
+  if (!session || session.phase !== Phase.VOTE) return { error: { code: "invalid", message: "Not in VOTE phase" } };
+  if (!getVoters(session).includes(playerId)) return { error: { code: "invalid", message: "Player not voting" } };
+  if (session.runoff) return confirmRunoffVote(session, playerId, now);
   const selections = session.voteSelection?.[playerId];
   if (!selections || selections.length === 0) return { error: { code: "invalid", message: "No selection" } };
   const maxVotes = getVoteCount(session, playerId);
@@ -267,32 +731,309 @@ export function handleConfirmVote(session, playerId) {
     return { error: { code: "invalid", message: "Must also select a blank vote" } };
   }
 
+  // Dealers must also make their guess
+  const guessSelection = session.dealerGuessSelection?.[playerId] || [];
+  if (isDealer(session, playerId) && guessSelection.length === 0) {
+    return { error: { code: "invalid", message: "Must also make a dealer guess" } };
+  }
+
   const votes = { ...session.votes, [playerId]: [...selections] };
   const blankVotes = { ...session.blankVotes };
   if (needsBlankVote) {
     blankVotes[playerId] = blankSelection;
   }
 
-  const dealerGuess = playerId === session.dealerId
-    ? selections[0]
-    : session.dealerGuess;
+  const dealerGuesses = isDealer(session, playerId)
+    ? { ...session.dealerGuesses, [playerId]: [...guessSelection] }
+    : session.dealerGuesses;
 
   // Check if all players have completed voting (including blank votes if required)
-  const allVoted = session.players.every((p) => {
+  const allVoted = getVoters(session).every((p) => {
     if (votes[p] == null) return false;
     if (canVoteBlank(session, p) && blankVotes[p] == null) return false;
     return true;
   });
 
-  return {
-    session: {
-      ...session,
-      votes,
-      blankVotes,
-      dealerGuess,
-      phase: allVoted ? Phase.RESULT : session.phase,
-    },
+  const newSession = { ...session, votes, blankVotes, dealerGuesses };
+  return { session: allVoted ? finishVote(newSession, now) : newSession };
+}
+
+/**
+ * Everyone has voted (or time ran out): count the votes.
+ * A tie for the most votes goes to config.tieBreak ("none" leaves it tied).
+ * @param {number} now - For the runoff's vote deadline
+ */
+function finishVote(session, now) {
+  const voters = getVoters(session);
+  const abstained = new Set(session.abstained || []);
+  const tally = {};
+  for (const [voterId, picks] of Object.entries(session.votes || {})) {
+    if (!voters.includes(voterId) || abstained.has(voterId) || !Array.isArray(picks)) continue;
+    for (const targetId of picks) {
+      if (voters.includes(targetId)) tally[targetId] = (tally[targetId] || 0) + 1;
+    }
+  }
+
+  const top = Math.max(0, ...Object.values(tally));
+  const leaders = voters.filter((p) => top > 0 && tally[p] === top);
+  const tieBreak = session.config?.tieBreak ?? "none";
+  if (leaders.length > 1 && tieBreak !== "none") return startTieBreak(session, tieBreak, leaders, tally, now);
+
+  return resolveVote(session, {
+    playerId: leaders.length === 1 ? leaders[0] : null,
+    tied: leaders.length > 1 ? leaders : [],
+    tally,
+    tieBreak: null,
+  });
+}
+
+/**
+ * Apply the vote's outcome (`decision.playerId`, the most-voted player, or
+ * null for an unbroken tie / no votes).
+ * Classic: recorded as session.mostVoted and the round is over.
+ * Elimination: that player is out (nobody on a tie); the vote is recorded in
+ * session.eliminations. If neither side has won yet, play loops back to PLAY
+ * (describe) with the same words, otherwise the round ends with
+ * session.outcome set.
+ * A finished round goes through STEAL first when config.wordSteal is on.
+ * @param {{ playerId, tied, tally, tieBreak }} decision
+ */
+function resolveVote(session, decision) {
+  const voted = { ...session, runoff: null, voteDeadline: null };
+  if (!isElimination(session)) {
+    return endRound({ ...voted, mostVoted: decision });
+  }
+
+  const { playerId: eliminatedId, ...rest } = decision;
+  const eliminated = eliminatedId ? [...(session.eliminated || []), eliminatedId] : [...(session.eliminated || [])];
+  const eliminations = [...(session.eliminations || []), { eliminatedId, ...rest }];
+  const outcome = getEliminationOutcome(session, eliminated);
+  const newSession = { ...voted, eliminated, eliminations, outcome };
+
+  return outcome ? endRound(newSession) : { ...newSession, phase: Phase.PLAY };
+}
+
+/* ------------------------------------------------------------------ */
+/*  Tie-break (config.tieBreak)                                        */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Break a tie for the most votes.
+ * "random": one of the tied players, drawn from the round seed.
+ * "runoff": another vote (still VOTE) where everyone picks one of the tied
+ *   players, through the usual selectVote/confirmVote actions.
+ * "dealer": the lead dealer picks one (breakTie action). With no dealer, or
+ *   a lead dealer who is one of the tied players, it is drawn at random
+ *   instead and the summary says why (tieBreak.fallback).
+ * A runoff that ties again, or a tie-break the vote timer runs out on, leaves
+ * the tie standing.
+ */
+function startTieBreak(session, method, tied, tally, now) {
+  if (method === "random") return breakTieAtRandom(session, tied, tally);
+
+  const deciderId = method === "dealer" ? getTieBreakDecider(session, tied) : null;
+  if (method === "dealer" && !deciderId) {
+    return breakTieAtRandom(session, tied, tally, session.dealerId && tied.includes(session.dealerId) ? "dealerTied" : "noDealer");
+  }
+
+  const runoff = method === "dealer"
+    ? { method, tied, tally, deciderId }
+    : { method, tied, tally, votes: {} };
+  const limit = session.config?.voteTimeLimit;
+  return doBotActions({
+    ...session,
+    runoff,
+    voteSelection: {},
+    voteDeadline: limit > 0 ? now + limit * 1000 : null,
+  }, now);
+}
+
+/**
+ * Pick one of the tied players from the round seed.
+ * @param {"noDealer"|"dealerTied"} [fallback] - why a "dealer" tie-break was drawn instead
+ */
+function breakTieAtRandom(session, tied, tally, fallback) {
+  const rng = createRng(`${session.roundSeed}:tiebreak:${(session.eliminations || []).length}`);
+  const playerId = rng.pick(tied);
+  const tieBreak = fallback ? { method: "random", playerId, fallback } : { method: "random", playerId };
+  return resolveVote(session, { playerId, tied, tally, tieBreak });
+}
+
+/** Who decides a "dealer" tie-break: the lead dealer, unless there is none (or they are out) or they are tied */
+function getTieBreakDecider(session, tied) {
+  const deciderId = session.dealerId;
+  if (!deciderId || !getVoters(session).includes(deciderId) || tied.includes(deciderId)) return null;
+  return deciderId;
+}
+
+function selectRunoffVote(session, playerId, targetId) {
+  const { runoff } = session;
+  if (runoff.method !== "runoff") return { error: { code: "invalid", message: "等待决定平票" } };
+  if (targetId === playerId || !runoff.tied.includes(targetId)) return { error: { code: "invalid", message: "Invalid target" } };
+
+  const current = session.voteSelection?.[playerId]?.[0] ?? null;
+  const selection = current === targetId ? [] : [targetId];
+  return { session: { ...session, voteSelection: { ...(session.voteSelection || {}), [playerId]: selection } } };
+}
+
+function confirmRunoffVote(session, playerId, now) {
+  const { runoff } = session;
+  if (runoff.method !== "runoff") return { error: { code: "invalid", message: "等待决定平票" } };
+  const selection = session.voteSelection?.[playerId] || [];
+  if (selection.length !== 1) return { error: { code: "invalid", message: "No selection" } };
+
+  const newSession = { ...session, runoff: { ...runoff, votes: { ...runoff.votes, [playerId]: selection[0] } } };
+  const allVoted = getVoters(session).every((p) => newSession.runoff.votes[p] != null);
+  return { session: allVoted ? finishRunoff(newSession, now) : newSession };
+}
+
+/** Count the runoff; one clear leader breaks the tie, otherwise it stands */
+function finishRunoff(session, now) {
+  const { tied, tally, votes } = session.runoff;
+  const runoffTally = {};
+  for (const targetId of Object.values(votes)) {
+    if (targetId != null) runoffTally[targetId] = (runoffTally[targetId] || 0) + 1;
+  }
+  const top = Math.max(0, ...Object.values(runoffTally));
+  const leaders = tied.filter((p) => top > 0 && runoffTally[p] === top);
+  const playerId = leaders.length === 1 ? leaders[0] : null;
+
+  return resolveVote(session, { playerId, tied, tally, tieBreak: { method: "runoff", playerId, tally: runoffTally } });
+}
+
+/** The "dealer" tie-break decider picks one of the tied players */
+export function handleBreakTie(session, playerId, targetId) {
+  if (!session || session.phase !== Phase.VOTE || session.runoff?.method !== "dealer") {
+    return { error: { code: "invalid", message: "没有需要决定的平票" } };
+  }
+  const { tied, tally, deciderId } = session.runoff;
+  if (playerId !== deciderId) return { error: { code: "not_authorized", message: "只有庄家可以决定平票" } };
+  if (!tied.includes(targetId)) return { error: { code: "invalid", message: "Invalid target" } };
+
+  return { session: resolveVote(session, { playerId: targetId, tied, tally, tieBreak: { method: "dealer", playerId: targetId, deciderId } }) };
+}
+
+/** "civilians" once every undercover/blank is out, "undercovers" once they match the civilians, else null */
+function getEliminationOutcome(session, eliminated) {
+  const alive = session.players.filter((p) => !eliminated.includes(p));
+  const civilians = alive.filter((p) => session.roles?.[p] === Role.CIVILIAN).length;
+  const others = alive.filter((p) => session.roles?.[p] === Role.UNDERCOVER || session.roles?.[p] === Role.BLANK).length;
+  if (others === 0) return "civilians";
+  if (others >= civilians) return "undercovers";
+  return null;
+}
+
+/**
+ * Vote time limit reached (fired by the room's alarm).
+ * Unconfirmed players' current selections are submitted as-is (even if short
+ * of their vote count); players with nothing selected abstain. A dealer's
+ * guess selection is submitted the same way, if they made one.
+ */
+export function handleVoteTimeout(session, now = Date.now()) {
+  if (!session || session.phase !== Phase.VOTE) return { error: { code: "invalid", message: "Not in VOTE phase" } };
+  if (!session.voteDeadline || now < session.voteDeadline) return { error: { code: "invalid", message: "Vote deadline not reached" } };
+  if (session.runoff) return { session: timeOutTieBreak(session, now) };
+
+  const votes = { ...session.votes };
+  const blankVotes = { ...session.blankVotes };
+  const abstained = [];
+  const dealerGuesses = { ...session.dealerGuesses };
+
+  for (const p of getVoters(session)) {
+    if (votes[p] != null) continue;
+    const selections = session.voteSelection?.[p] || [];
+    if (selections.length === 0) {
+      abstained.push(p);
+      continue;
+    }
+    votes[p] = [...selections];
+    const guessSelection = session.dealerGuessSelection?.[p] || [];
+    if (isDealer(session, p) && guessSelection.length > 0) dealerGuesses[p] = [...guessSelection];
+    const blankSelection = session.blankVoteSelection?.[p] ?? null;
+    if (canVoteBlank(session, p) && blankVotes[p] == null && blankSelection != null) {
+      blankVotes[p] = blankSelection;
+    }
+  }
+
+  return { session: finishVote({ ...session, votes, blankVotes, dealerGuesses, abstained }, now) };
+}
+
+/**
+ * Tie-break out of time: a runoff counts confirmed votes plus current
+ * selections; an undecided "dealer" tie-break leaves the tie standing.
+ */
+function timeOutTieBreak(session, now) {
+  const { runoff } = session;
+  if (runoff.method !== "runoff") {
+    const { tied, tally, method } = runoff;
+    return resolveVote(session, { playerId: null, tied, tally, tieBreak: { method, playerId: null } });
+  }
+
+  const votes = { ...runoff.votes };
+  for (const p of getVoters(session)) {
+    const selection = session.voteSelection?.[p] || [];
+    if (votes[p] == null && selection.length === 1) votes[p] = selection[0];
+  }
+  return finishRunoff({ ...session, runoff: { ...runoff, votes } }, now);
+}
+
+/* ------------------------------------------------------------------ */
+/*  STEAL phase (word steal)                                           */
+/* ------------------------------------------------------------------ */
+
+/** Human players allowed to guess the civilian word per config.wordSteal (bots never guess) */
+function getStealers(session) {
+  const mode = session.config?.wordSteal ?? "off";
+  if (mode === "off") return [];
+  const roles = mode === "all" ? [Role.UNDERCOVER, Role.BLANK] : [Role.UNDERCOVER];
+  return session.players.filter((p) => !p.startsWith("bot-") && roles.includes(session.roles?.[p]));
+}
+
+/** Voting is over: open the word steal if anyone may guess, otherwise show the result */
+function endRound(session) {
+  const stealers = getStealers(session);
+  if (stealers.length === 0) return showResult(session);
+  return { ...session, phase: Phase.STEAL, stealers, wordSteals: {} };
+}
+
+/** Enter RESULT; with config.stagedReveal nothing is shown until the host steps through it */
+function showResult(session) {
+  return { ...session, phase: Phase.RESULT, revealStep: session.config?.stagedReveal ? 0 : null };
+}
+
+/**
+ * Host shows the next step of a staged RESULT reveal, or all remaining steps.
+ * view.js only sends what has been revealed, so every screen stays in step.
+ */
+export function handleAdvanceResultReveal(session, playerId, all = false) {
+  if (!session || session.phase !== Phase.RESULT || session.revealStep == null) {
+    return { error: { code: "invalid", message: "没有需要揭晓的结果" } };
+  }
+  if (!isHost(session, playerId)) return { error: { code: "not_host", message: "只有房主可以揭晓结果" } };
+
+  const total = getRevealSteps(session).length;
+  if (session.revealStep >= total) return { error: { code: "invalid", message: "结果已全部揭晓" } };
+  return { session: { ...session, revealStep: all ? total : session.revealStep + 1 } };
+}
+
+/**
+ * A stealer submits one guess at the civilian word (an empty guess passes).
+ * The guess is checked now, with normalize.js, and cannot be changed.
+ */
+export function handleStealWord(session, playerId, guess) {
+  if (!session || session.phase !== Phase.STEAL) return { error: { code: "invalid", message: "Not in STEAL phase" } };
+  if (!(session.stealers || []).includes(playerId)) return { error: { code: "invalid", message: "你不能猜词" } };
+  if (session.wordSteals?.[playerId]) return { error: { code: "invalid", message: "已经猜过了" } };
+
+  const trimmed = String(guess ?? "").trim();
+  const wordSteals = {
+    ...(session.wordSteals || {}),
+    [playerId]: { guess: trimmed, correct: isSameWord(trimmed, session.words.correct) },
   };
+  const allGuessed = session.stealers.every((p) => wordSteals[p]);
+
+  const newSession = { ...session, wordSteals };
+  return { session: allGuessed ? showResult(newSession) : newSession };
 }
 
 /* ------------------------------------------------------------------ */
@@ -303,41 +1044,59 @@ export function handleBackToLobby(session, playerId, keepScores = false) {
   if (!session) return { error: { code: "invalid", message: "No session" } };
   if (!isHost(session, playerId)) return { error: { code: "not_host", message: "只有房主可以回到大厅" } };
 
+  // A finished match (FINAL) always starts the next one from zero; its last
+  // round has already been banked. Keeping the scores of a round that ends
+  // the match goes to FINAL instead of the lobby.
+  // Dealer fairness (config.dealerRotation) carries over with the scores.
   let totalScores = {};
-  if (keepScores) {
-    const roundScores = calculateRoundScores(session);
-    const prevTotals = session.totalScores || {};
-    for (const pid of session.players) {
-      totalScores[pid] = (prevTotals[pid] || 0) + (roundScores[pid] || 0);
+  let roundHistory = [];
+  let spectatorScores = {};
+  let dealerHistory = [];
+  if (keepScores && session.phase !== Phase.FINAL) {
+    let final;
+    ({ totalScores, roundHistory, spectatorScores, final } = bankRound(session));
+    if (final && session.phase === Phase.RESULT) return { session: final };
+    dealerHistory = [...(session.dealerHistory || [])];
+    for (const pid of Object.keys(totalScores)) {
+      if (!session.players.includes(pid)) delete totalScores[pid];
     }
   }
 
   return {
     session: {
-      ...createSession(session.id, session.config.capacity),
+      ...createSession(session.id, session.config.capacity, session.createdAt),
       players: [...session.players],
       playerNames: { ...session.playerNames },
       hostName: session.hostName,
+      passcode: session.passcode ?? null,
       config: { ...session.config },
       usedWordGroups: [],
       roundNumber: 0,
-      dealerHistory: [],
+      dealerHistory,
       totalScores,
+      roundHistory,
+      teams: { ...(session.teams || {}) },
+      teamNames: [...(session.teamNames || [])],
+      teamRoleHistory: { ...(session.teamRoleHistory || {}) },
+      roleHistory: { ...(session.roleHistory || {}) },
+      wordPool: { ...(session.wordPool || {}) },
+      botDifficulty: { ...(session.botDifficulty || {}) },
+      spectators: [...(session.spectators || [])],
+      spectatorNames: { ...(session.spectatorNames || {}) },
+      spectatorScores,
     },
   };
 }
 
-export function handleStartNextRound(session, playerId) {
+export function handleStartNextRound(session, playerId, seed = randomSeed(), now = Date.now()) {
   if (!session) return { error: { code: "invalid", message: "No session" } };
   if (!isHost(session, playerId)) return { error: { code: "not_host", message: "只有房主可以开始下一轮" } };
   if (session.phase !== Phase.RESULT) return { error: { code: "invalid", message: "只能在结算界面开始下一轮" } };
 
-  // Calculate round scores and update total scores
-  const roundScores = calculateRoundScores(session);
-  const totalScores = { ...(session.totalScores || {}) };
-  for (const [pid, score] of Object.entries(roundScores)) {
-    totalScores[pid] = (totalScores[pid] || 0) + score;
-  }
+  // Calculate round scores and update total scores.
+  // Match over: show final standings instead of dealing another round.
+  const { totalScores, roundHistory, spectatorScores, final } = bankRound(session);
+  if (final) return { session: final };
 
   const preservedData = {
     usedWordGroups: [...(session.usedWordGroups || [])],
@@ -347,19 +1106,298 @@ export function handleStartNextRound(session, playerId) {
   };
 
   const resetSession = {
-    ...createSession(session.id, session.config.capacity),
+    ...createSession(session.id, session.config.capacity, session.createdAt),
     players: [...session.players],
     playerNames: { ...session.playerNames },
     hostName: session.hostName,
+    passcode: session.passcode ?? null,
     config: { ...session.config },
     usedWordGroups: preservedData.usedWordGroups,
     roundNumber: preservedData.roundNumber,
     dealerHistory: preservedData.dealerHistory,
     totalScores: preservedData.totalScores,
+    roundHistory,
+    teams: { ...(session.teams || {}) },
+    teamNames: [...(session.teamNames || [])],
+    teamRoleHistory: { ...(session.teamRoleHistory || {}) },
+    roleHistory: { ...(session.roleHistory || {}) },
+    wordPool: { ...(session.wordPool || {}) },
+    botDifficulty: { ...(session.botDifficulty || {}) },
+    spectators: [...(session.spectators || [])],
+    spectatorNames: { ...(session.spectatorNames || {}) },
+    spectatorScores,
   };
 
   // Start the game immediately
-  return doStartGame(resetSession);
+  return doStartGame(resetSession, seed, now);
+}
+
+/* ------------------------------------------------------------------ */
+/*  Match                                                              */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Add the current round's scores to the running totals and append it to
+ * roundHistory (the per-round progression shown on the FINAL screen).
+ */
+function bankRoundScores(session) {
+  const roundScores = calculateRoundScores(session);
+  const totalScores = { ...(session.totalScores || {}) };
+  for (const [pid, score] of Object.entries(roundScores)) {
+    totalScores[pid] = (totalScores[pid] || 0) + score;
+  }
+  const roundHistory = [
+    ...(session.roundHistory || []),
+    { roundNumber: session.roundNumber || 1, scores: roundScores, totals: { ...totalScores } },
+  ];
+  return { totalScores, roundHistory };
+}
+
+/**
+ * Bank the round for every way out of RESULT that keeps the scores (next
+ * round, or back to the lobby), and close the match when that meets its end
+ * condition. In team mode the match is played (and won) on team scores.
+ * @returns {{ totalScores, roundHistory, spectatorScores, final: object|null }}
+ *   final: the FINAL session (with matchResult) when the match is over
+ */
+function bankRound(session) {
+  const { totalScores, roundHistory } = bankRoundScores(session);
+  const spectatorScores = addSpectatorRoundScores(session);
+
+  const byTeam = isTeamMode(session);
+  const match = byTeam
+    ? getTeamMatchBasis(session, totalScores, roundHistory)
+    : { ids: session.players, totals: totalScores, history: roundHistory };
+  const final = isMatchOver(session.config, match.totals, match.history)
+    ? {
+      ...session,
+      phase: Phase.FINAL,
+      totalScores,
+      roundHistory,
+      spectatorScores,
+      matchResult: { ...decideMatch(match.ids, match.totals, match.history), byTeam },
+    }
+    : null;
+  return { totalScores, roundHistory, spectatorScores, final };
+}
+
+/** Whether config.matchMode's end condition is met after the banked rounds */
+export function isMatchOver(config, totalScores, roundHistory) {
+  const target = config?.matchTarget ?? 0;
+  if (target < 1) return false;
+  switch (config?.matchMode) {
+    case "rounds":
+      return roundHistory.length >= target;
+    case "score":
+      return Object.values(totalScores).some((score) => score >= target);
+    default:
+      return false;
+  }
+}
+
+/** Team-level view of the banked scores: team indices (as strings), team totals, team round history */
+function getTeamMatchBasis(session, totalScores, roundHistory) {
+  const totals = getTeamScores(session, totalScores);
+  return {
+    ids: Object.keys(totals),
+    totals,
+    history: roundHistory.map((round) => ({
+      ...round,
+      scores: getTeamScores(session, round.scores),
+      totals: getTeamScores(session, round.totals),
+    })),
+  };
+}
+
+/**
+ * Final standings for a finished match, highest total first.
+ * Ties for first are broken by rounds won (top score of a round, shared
+ * tops count for everyone), then by best single round; if still tied the
+ * title is shared.
+ * Players are team indices in team mode (matchResult.byTeam).
+ * @returns {{ winners: string[], standings: object[], tiebreak: null|"roundWins"|"bestRound"|"shared" }}
+ */
+export function decideMatch(players, totalScores, roundHistory) {
+  const standings = players.map((playerId) => {
+    let roundWins = 0;
+    let bestRound = -Infinity;
+    for (const round of roundHistory) {
+      const score = round.scores?.[playerId] ?? 0;
+      const top = Math.max(...players.map((p) => round.scores?.[p] ?? 0));
+      if (score === top) roundWins++;
+      bestRound = Math.max(bestRound, score);
+    }
+    return {
+      playerId,
+      total: totalScores[playerId] || 0,
+      roundWins,
+      bestRound: Number.isFinite(bestRound) ? bestRound : 0,
+    };
+  });
+  standings.sort((a, b) => b.total - a.total || b.roundWins - a.roundWins || b.bestRound - a.bestRound);
+
+  let leaders = standings.filter((s) => s.total === standings[0]?.total);
+  let tiebreak = null;
+  for (const key of ["roundWins", "bestRound"]) {
+    if (leaders.length < 2) break;
+    const best = Math.max(...leaders.map((s) => s[key]));
+    const narrowed = leaders.filter((s) => s[key] === best);
+    if (narrowed.length < leaders.length) tiebreak = key;
+    leaders = narrowed;
+  }
+  if (leaders.length > 1) tiebreak = "shared";
+
+  return { winners: leaders.map((s) => s.playerId), standings, tiebreak };
+}
+
+/* ------------------------------------------------------------------ */
+/*  Teams                                                              */
+/* ------------------------------------------------------------------ */
+
+export function isTeamMode(session) {
+  return (session?.config?.teamCount ?? 0) >= 2;
+}
+
+/**
+ * Keep session.teams in step with the roster and config.teamCount: drop
+ * departed players and out-of-range teams, put newcomers on the smallest team.
+ */
+function syncTeams(session) {
+  if (!session) return session;
+  const teamCount = session.config?.teamCount ?? 0;
+  if (teamCount < 2) return { ...session, teams: {} };
+
+  const teams = {};
+  const sizes = new Array(teamCount).fill(0);
+  for (const p of session.players) {
+    const team = session.teams?.[p];
+    if (Number.isInteger(team) && team < teamCount) {
+      teams[p] = team;
+      sizes[team]++;
+    }
+  }
+  for (const p of session.players) {
+    if (p in teams) continue;
+    const team = sizes.indexOf(Math.min(...sizes));
+    teams[p] = team;
+    sizes[team]++;
+  }
+  return { ...session, teams };
+}
+
+/** Sum per-player scores by team: Map<teamIndex, number> (every team listed) */
+export function getTeamScores(session, scores) {
+  const teamScores = {};
+  for (let t = 0; t < (session.config?.teamCount ?? 0); t++) teamScores[t] = 0;
+  for (const p of session.players) {
+    const team = session.teams?.[p];
+    if (team in teamScores) teamScores[team] += scores?.[p] || 0;
+  }
+  return teamScores;
+}
+
+export function handleSetTeam(session, playerId, targetId, team) {
+  if (!session || session.phase !== Phase.LOBBY) return { error: { code: "invalid", message: "只能在大厅中分队" } };
+  if (!isHost(session, playerId)) return { error: { code: "not_host", message: "只有房主可以分队" } };
+  if (!isTeamMode(session)) return { error: { code: "invalid", message: "未开启队伍模式" } };
+  if (!session.players.includes(targetId)) return { error: { code: "invalid", message: "Invalid target" } };
+  if (!Number.isInteger(team) || team < 0 || team >= session.config.teamCount) {
+    return { error: { code: "invalid", message: "Invalid team" } };
+  }
+  return { session: { ...session, teams: { ...session.teams, [targetId]: team } } };
+}
+
+export function handleRenameTeam(session, playerId, team, name) {
+  if (!session || session.phase !== Phase.LOBBY) return { error: { code: "invalid", message: "只能在大厅中修改队名" } };
+  if (!isHost(session, playerId)) return { error: { code: "not_host", message: "只有房主可以修改队名" } };
+  const trimmed = (name || "").trim();
+  if (!trimmed) return { error: { code: "invalid", message: "队名不能为空" } };
+  if (!Number.isInteger(team) || team < 0 || team >= (session.teamNames || []).length) {
+    return { error: { code: "invalid", message: "Invalid team" } };
+  }
+  const teamNames = [...session.teamNames];
+  teamNames[team] = trimmed;
+  return { session: { ...session, teamNames } };
+}
+
+/**
+ * Reorder the shuffled non-dealer players so the role loop in doStartGame
+ * gives each undercover/blank seat to the team that has had the fewest of
+ * that role per member so far (ties broken by `rng`). Civilians come first
+ * in the returned order and are simply whoever is left.
+ */
+function balanceTeamRoleOrder(session, candidates, rng) {
+  const { undercoverCount, blankCount } = session.config;
+  const history = session.teamRoleHistory || {};
+  const teamOf = (p) => session.teams[p];
+  const teamSize = {};
+  for (const p of session.players) teamSize[teamOf(p)] = (teamSize[teamOf(p)] || 0) + 1;
+
+  const remaining = [...candidates];
+  const dealt = {}; // team → role → count this round
+  const picks = [];
+  for (const [role, count] of [[Role.UNDERCOVER, undercoverCount], [Role.BLANK, blankCount]]) {
+    for (let i = 0; i < count; i++) {
+      const load = (t) => ((history[t]?.[role] || 0) + (dealt[t]?.[role] || 0)) / teamSize[t];
+      const open = [...new Set(remaining.map(teamOf))];
+      const least = Math.min(...open.map(load));
+      const team = rng.pick(open.filter((t) => load(t) === least));
+      const pid = remaining.find((p) => teamOf(p) === team); // remaining is shuffled
+      remaining.splice(remaining.indexOf(pid), 1);
+      picks.push(pid);
+      dealt[team] = { ...dealt[team], [role]: (dealt[team]?.[role] || 0) + 1 };
+    }
+  }
+  return [...remaining, ...picks];
+}
+
+/** Add this round's dealt roles to the per-team tally used by balanceTeamRoleOrder */
+function addTeamRoles(teamRoleHistory, teams, roles) {
+  const history = {};
+  for (const [team, counts] of Object.entries(teamRoleHistory || {})) history[team] = { ...counts };
+  for (const [pid, role] of Object.entries(roles)) {
+    const team = teams?.[pid];
+    if (team == null) continue;
+    history[team] = { ...history[team], [role]: (history[team]?.[role] || 0) + 1 };
+  }
+  return history;
+}
+
+/**
+ * Reorder the shuffled non-dealer players for config.balanceRoles: each
+ * undercover/blank seat is drawn by weight, halved for every time a player
+ * has had that role more than the least-served remaining player
+ * (session.roleHistory). Everyone keeps a chance, so roles stay
+ * unpredictable. Same layout as balanceTeamRoleOrder: civilians first.
+ */
+function balancePlayerRoleOrder(session, candidates, rng) {
+  const { undercoverCount, blankCount } = session.config;
+  const history = session.roleHistory || {};
+
+  const remaining = [...candidates];
+  const picks = [];
+  for (const [role, count] of [[Role.UNDERCOVER, undercoverCount], [Role.BLANK, blankCount]]) {
+    for (let i = 0; i < count && remaining.length > 0; i++) {
+      const load = (p) => history[p]?.[role] || 0;
+      const least = Math.min(...remaining.map(load));
+      const weights = remaining.map((p) => 2 ** (least - load(p)));
+      let x = rng.float() * weights.reduce((a, b) => a + b, 0);
+      let idx = 0;
+      while (idx < remaining.length - 1 && x >= weights[idx]) x -= weights[idx++];
+      picks.push(remaining.splice(idx, 1)[0]);
+    }
+  }
+  return [...remaining, ...picks];
+}
+
+/** Add this round's dealt roles to the per-player tally used by balancePlayerRoleOrder */
+function addPlayerRoles(roleHistory, roles) {
+  const history = {};
+  for (const [pid, counts] of Object.entries(roleHistory || {})) history[pid] = { ...counts };
+  for (const [pid, role] of Object.entries(roles)) {
+    history[pid] = { ...history[pid], [role]: (history[pid]?.[role] || 0) + 1 };
+  }
+  return history;
 }
 
 /* ------------------------------------------------------------------ */
@@ -374,7 +1412,16 @@ export function handleUpdateConfig(session, playerId, configData) {
     return { error: { code: "not_host", message: "只有房主可以修改配置" } };
   }
 
-  const newConfig = { ...session.config, ...configData };
+  // Partial update: only keys present in configData change (schema.js has
+  // already checked types/ranges); scoring is merged rule by rule.
+  const defined = (obj) => Object.fromEntries(
+    Object.entries(obj || {}).filter(([, v]) => v !== undefined && v !== null)
+  );
+  const newConfig = {
+    ...session.config,
+    ...defined(configData),
+    scoring: { ...session.config.scoring, ...defined(configData?.scoring) },
+  };
   const validation = validateConfig(newConfig);
   if (!validation.valid) {
     return { error: { code: "invalid_config", message: validation.errors.join("; ") } };
@@ -401,8 +1448,11 @@ export function handleUpdateConfig(session, playerId, configData) {
     }
   }
 
+  // Custom words are the old host's secret; a new host must not inherit them
+  const customWords = hostName === session.hostName ? session.customWords ?? null : null;
+
   return {
-    session: { ...session, config: newConfig, players, playerNames, hostName },
+    session: syncTeams({ ...session, config: newConfig, players, playerNames, hostName, customWords }),
     kickedIds,
   };
 }
@@ -411,24 +1461,33 @@ export function handleUpdateConfig(session, playerId, configData) {
 /*  Bot / test player                                                  */
 /* ------------------------------------------------------------------ */
 
-export function handleAddBot(session, playerId) {
+export function generateBotId() {
+  return "bot-" + generateId().slice(0, 6);
+}
+
+/**
+ * Seat a bot. `difficulty` is one of BOT_DIFFICULTIES (see bots.js) and is
+ * kept in session.botDifficulty for as long as the bot stays.
+ */
+export function handleAddBot(session, playerId, botId = generateBotId(), difficulty = "random") {
   if (!session || session.phase !== Phase.LOBBY) return { error: { code: "invalid", message: "Not in LOBBY" } };
   if (!isHost(session, playerId)) return { error: { code: "not_host", message: "只有房主可以添加测试玩家" } };
+  if (!BOT_DIFFICULTIES.includes(difficulty)) return { error: { code: "invalid", message: "Invalid bot difficulty" } };
 
   const capacity = session.config?.capacity || MAX_PLAYERS;
   if (session.players.length >= capacity) return { error: { code: "full", message: "Room is full" } };
 
-  const botId = "bot-" + generateId().slice(0, 6);
   const names = ["小明", "小红", "小华", "小丽", "小强", "小芳", "小军", "小玲"];
   const usedNames = new Set(Object.values(session.playerNames));
   const name = names.find((n) => !usedNames.has(n)) || `机器人${session.players.length}`;
 
   return {
-    session: {
+    session: syncTeams({
       ...session,
       players: [...session.players, botId],
       playerNames: { ...session.playerNames, [botId]: name },
-    },
+      botDifficulty: { ...(session.botDifficulty || {}), [botId]: difficulty },
+    }),
   };
 }
 
@@ -438,17 +1497,32 @@ export function handleAddBot(session, playerId) {
 
 export function calculateRoundScores(session) {
   const scoring = session.config?.scoring || {};
-  const dealerId = session.dealerId;
   const roundScores = {};
 
   for (const p of session.players) {
     roundScores[p] = 0;
   }
 
-  // Score normal votes (correct-word guessing)
+  // Elimination mode: the winning side scores, eliminated or not
+  if (isElimination(session)) {
+    for (const p of session.players) {
+      const role = session.roles?.[p];
+      if (session.outcome === "civilians" && role === Role.CIVILIAN) {
+        roundScores[p] = scoring.civilianTeamWin ?? 1;
+      } else if (session.outcome === "undercovers" && (role === Role.UNDERCOVER || role === Role.BLANK)) {
+        roundScores[p] = scoring.undercoverTeamWin ?? 3;
+      }
+    }
+    return applyAfkRule(session, addWordStealScores(session, roundScores));
+  }
+
+  // Score normal votes (correct-word guessing). Abstainers (vote timer ran
+  // out with nothing selected) cast no votes and earn nothing from voting.
+  const abstained = new Set(session.abstained || []);
   for (const [voterId, picks] of Object.entries(session.votes || {})) {
-    if (!Array.isArray(picks)) continue;
-    const voterIsDealer = voterId === dealerId;
+    if (!Array.isArray(picks) || abstained.has(voterId)) continue;
+    // Each dealer guesses (and scores) independently
+    const voterIsDealer = isDealer(session, voterId);
 
     for (const targetId of picks) {
       const targetRole = session.roles?.[targetId];
@@ -478,8 +1552,7 @@ export function calculateRoundScores(session) {
     const targetRole = session.roles?.[targetId];
     if (targetRole === Role.BLANK) {
       blankVotedTargets.add(targetId);
-      const voterIsDealer = voterId === dealerId;
-      if (voterIsDealer) {
+      if (isDealer(session, voterId)) {
         roundScores[voterId] = (roundScores[voterId] || 0) + (scoring.dealerCorrectBlank || 3);
       } else {
         roundScores[voterId] = (roundScores[voterId] || 0) + (scoring.playerCorrectBlank || 3);
@@ -497,32 +1570,157 @@ export function calculateRoundScores(session) {
     }
   }
 
+  // Dealer guesses, scored apart from the dealer's votes
+  for (const [dealerId, guess] of Object.entries(session.dealerGuesses || {})) {
+    if (abstained.has(dealerId) || !(dealerId in roundScores)) continue;
+    roundScores[dealerId] += getDealerGuessResult(session, guess).points;
+  }
+
+  return applyAfkRule(session, addWordStealScores(session, roundScores));
+}
+
+/**
+ * Score a dealer's guess: scoring.dealerGuessCivilian per civilian named,
+ * plus scoring.dealerGuessAllCivilians when the guess is exactly the civilians.
+ * @returns {{ hits: number, exact: boolean, points: number }}
+ */
+export function getDealerGuessResult(session, guess) {
+  const scoring = session.config?.scoring || {};
+  const picks = Array.isArray(guess) ? guess : [];
+  const hits = picks.filter((p) => session.roles?.[p] === Role.CIVILIAN).length;
+  const exact = hits > 0 && hits === picks.length && hits === getCivilianCount(session);
+  const points = hits * (scoring.dealerGuessCivilian ?? 1) + (exact ? (scoring.dealerGuessAllCivilians ?? 2) : 0);
+  return { hits, exact, points };
+}
+
+/** Bonus for undercovers/blanks who guessed the civilian word in STEAL */
+function addWordStealScores(session, roundScores) {
+  const scoring = session.config?.scoring || {};
+  for (const [p, steal] of Object.entries(session.wordSteals || {})) {
+    if (!steal.correct || !(p in roundScores)) continue;
+    const bonus = session.roles?.[p] === Role.BLANK ? (scoring.blankWordSteal ?? 3) : (scoring.undercoverWordSteal ?? 3);
+    roundScores[p] += bonus;
+  }
+  return roundScores;
+}
+
+/**
+ * Override AFK players' round score per config.afkRule:
+ * "normal" — scored like everyone else; "zero" — 0 this round;
+ * "penalty" — lose scoring.afkPenalty points this round.
+ */
+function applyAfkRule(session, roundScores) {
+  const rule = session.config?.afkRule ?? "zero";
+  if (rule === "normal") return roundScores;
+  const penalty = rule === "penalty" ? (session.config?.scoring?.afkPenalty ?? 1) : 0;
+  for (const p of session.afk || []) {
+    if (p in roundScores) roundScores[p] = -penalty;
+  }
   return roundScores;
 }
 
+/* ------------------------------------------------------------------ */
+/*  Spectators                                                         */
+/* ------------------------------------------------------------------ */
+
+export function handleSpectate(session, spectatorId, name) {
+  if (!session) return { error: { code: "not_found", message: "房间不存在" } };
+  if (isNameTaken(session, name)) return { error: { code: "duplicate_name", message: "该名字已被使用" } };
+
+  return {
+    session: {
+      ...session,
+      spectators: [...(session.spectators || []), spectatorId],
+      spectatorNames: { ...(session.spectatorNames || {}), [spectatorId]: name },
+    },
+  };
+}
+
+/** Spectator guesses who the undercover is (VOTE phase). Click again to clear. */
+export function handlePredict(session, spectatorId, targetId) {
+  if (!session || session.phase !== Phase.VOTE) return { error: { code: "invalid", message: "Not in VOTE phase" } };
+  if (!isSpectator(session, spectatorId)) return { error: { code: "invalid", message: "Not a spectator" } };
+  if (!targetId || !getNonDealers(session).includes(targetId)) {
+    return { error: { code: "invalid", message: "Invalid target" } };
+  }
+
+  const current = session.predictions?.[spectatorId] ?? null;
+  return {
+    session: {
+      ...session,
+      predictions: { ...(session.predictions || {}), [spectatorId]: current === targetId ? null : targetId },
+    },
+  };
+}
+
+/** Spectator prediction scores for the current round */
+export function calculateSpectatorScores(session) {
+  const points = session.config?.scoring?.spectatorCorrectUndercover ?? 1;
+  const scores = {};
+  for (const sid of session.spectators || []) {
+    const target = session.predictions?.[sid];
+    scores[sid] = target && session.roles?.[target] === Role.UNDERCOVER ? points : 0;
+  }
+  return scores;
+}
+
+/** Cumulative spectator scores including the current round */
+function addSpectatorRoundScores(session) {
+  const roundScores = calculateSpectatorScores(session);
+  const totals = {};
+  for (const sid of session.spectators || []) {
+    totals[sid] = (session.spectatorScores?.[sid] || 0) + (roundScores[sid] || 0);
+  }
+  return totals;
+}
+
+function doLeaveSpectator(session, spectatorId) {
+  const spectatorNames = { ...session.spectatorNames };
+  delete spectatorNames[spectatorId];
+  const predictions = { ...session.predictions };
+  delete predictions[spectatorId];
+  const spectatorScores = { ...session.spectatorScores };
+  delete spectatorScores[spectatorId];
+  return {
+    ...session,
+    spectators: session.spectators.filter((s) => s !== spectatorId),
+    spectatorNames,
+    predictions,
+    spectatorScores,
+  };
+}
+
 /* ------------------------------------------------------------------ */
 /*  Bot auto-actions                                                   */
 /* ------------------------------------------------------------------ */
 
-export function doBotActions(session) {
+/**
+ * Let the bots act in the current phase.
+ * @param {number} now - Passed on for a tie-break vote deadline
+ */
+export function doBotActions(session, now = Date.now()) {
   if (!session) return session;
   const bots = session.players.filter((p) => p.startsWith("bot-"));
   if (bots.length === 0) return session;
 
   let s = { ...session };
+  // Bot choices are derived from the round seed so a replayed round is identical
+  // (each elimination-mode vote, and each tie-break, gets its own stream)
+  const voteRound = s.eliminations?.length ? `:${s.eliminations.length}` : "";
+  const rng = createRng(`${s.roundSeed}:bots:${s.phase}${voteRound}${s.runoff ? ":tiebreak" : ""}`);
+
+  if (s.phase === Phase.VOTE && s.runoff) return doBotTieBreak(s, bots, rng, now);
 
   if (s.phase === Phase.DEAL) {
     const ready = { ...s.ready };
     const cardPlaced = { ...(s.cardPlaced || {}) };
     for (const bot of bots) {
-      if (bot !== s.dealerId) {
+      if (!isDealer(s, bot)) {
         ready[bot] = true;
         cardPlaced[bot] = true;
       }
     }
-    const required = s.dealerId
-      ? s.players.filter((p) => p !== s.dealerId)
-      : s.players;
+    const required = getNonDealers(s);
     const allPlaced = required.every((p) => cardPlaced[p]);
     s = { ...s, ready, cardPlaced, phase: allPlaced ? Phase.PLAY : s.phase };
   }
@@ -532,46 +1730,74 @@ export function doBotActions(session) {
     const voteSelection = { ...(s.voteSelection || {}) };
     const blankVotes = { ...(s.blankVotes || {}) };
     const blankVoteSelection = { ...(s.blankVoteSelection || {}) };
-    for (const bot of bots) {
-      if (votes[bot] != null) continue;
-      const isBotDealer = bot === s.dealerId;
-      const candidates = isBotDealer
-        ? s.players.filter((p) => p !== s.dealerId)
-        : s.players.filter((p) => p !== bot && p !== s.dealerId);
+    const voters = getVoters(s);
+    // Dealers go last, so heuristic dealers can follow the other bots' votes (see bots.js)
+    const byTurn = [...bots.filter((b) => !isDealer(s, b)), ...bots.filter((b) => isDealer(s, b))];
+    for (const bot of byTurn) {
+      if (votes[bot] != null || !voters.includes(bot)) continue;
+      const candidates = voters.filter((p) => p !== bot && !isDealer(s, p));
       if (candidates.length === 0) continue;
       const maxVotes = getVoteCount(s, bot);
-      const shuffled = [...candidates].sort(() => Math.random() - 0.5);
-      const picks = shuffled.slice(0, maxVotes);
+      const picks = rankBotTargets({ ...s, votes }, bot, candidates, rng).slice(0, maxVotes);
       voteSelection[bot] = picks;
       votes[bot] = picks;
 
-      // Bot blank vote (random pick from candidates)
       if (canVoteBlank(s, bot)) {
-        const blankPick = candidates[Math.floor(Math.random() * candidates.length)];
+        const blankPick = rankBotTargets(s, bot, candidates, rng, { blank: true })[0];
         blankVoteSelection[bot] = blankPick;
         blankVotes[bot] = blankPick;
       }
     }
-    const dealerGuess = s.dealerId && votes[s.dealerId]
-      ? votes[s.dealerId][0]
-      : s.dealerGuess;
-    const allVoted = s.players.every((p) => {
+    // Bot dealers guess as many players as there are civilians
+    const dealerGuesses = { ...s.dealerGuesses };
+    const dealerGuessSelection = { ...(s.dealerGuessSelection || {}) };
+    for (const bot of bots) {
+      if (!isDealer(s, bot) || dealerGuesses[bot] != null) continue;
+      const guess = rankBotTargets({ ...s, votes }, bot, getNonDealers(s), rng).slice(0, getCivilianCount(s));
+      dealerGuessSelection[bot] = guess;
+      dealerGuesses[bot] = guess;
+    }
+    const allVoted = voters.every((p) => {
       if (votes[p] == null) return false;
       if (canVoteBlank(s, p) && blankVotes[p] == null) return false;
       return true;
     });
-    s = { ...s, votes, voteSelection, blankVotes, blankVoteSelection, dealerGuess, phase: allVoted ? Phase.RESULT : s.phase };
+    s = { ...s, votes, voteSelection, blankVotes, blankVoteSelection, dealerGuesses, dealerGuessSelection };
+    if (allVoted) s = finishVote(s, now);
   }
 
   return s;
 }
 
+/** Bots vote in a runoff (one of the tied players, never themselves) or decide a "dealer" tie-break */
+function doBotTieBreak(session, bots, rng, now) {
+  const { runoff } = session;
+  if (runoff.method === "dealer") {
+    if (!bots.includes(runoff.deciderId)) return session;
+    const pick = rankBotTargets(session, runoff.deciderId, runoff.tied, rng)[0];
+    return handleBreakTie(session, runoff.deciderId, pick).session;
+  }
+
+  const votes = { ...runoff.votes };
+  const voteSelection = { ...(session.voteSelection || {}) };
+  const voters = getVoters(session);
+  for (const bot of bots) {
+    if (votes[bot] != null || !voters.includes(bot)) continue;
+    const pick = rankBotTargets(session, bot, runoff.tied.filter((p) => p !== bot), rng)[0];
+    voteSelection[bot] = [pick];
+    votes[bot] = pick;
+  }
+  const s = { ...session, voteSelection, runoff: { ...runoff, votes } };
+  return voters.every((p) => votes[p] != null) ? finishRunoff(s, now) : s;
+}
+
 /* ------------------------------------------------------------------ */
 /*  Player leave (used by room lifecycle)                              */
 /* ------------------------------------------------------------------ */
 
 export function doLeave(session, playerId) {
   if (!session) return null;
+  if (isSpectator(session, playerId)) return doLeaveSpectator(session, playerId);
 
   const leavingName = session.playerNames?.[playerId];
   const playerNames = { ...session.playerNames };
@@ -601,13 +1827,18 @@ export function doLeave(session, playerId) {
     return null;
   }
 
-  return {
+  return syncTeams({
     ...session,
     players: remaining,
     playerNames,
     hostName,
+    customWords: hostName === session.hostName ? session.customWords ?? null : null,
+    wordPool: withoutKey(session.wordPool, playerId),
+    dealerPicks: (session.dealerPicks || []).filter((p) => p !== playerId),
+    roleHistory: withoutKey(session.roleHistory, playerId),
+    botDifficulty: withoutKey(session.botDifficulty, playerId),
     assignments,
     roles,
     config: { ...session.config }, // Preserve config when players leave
-  };
+  });
 }
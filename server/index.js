@@ -1,11 +1,28 @@
 /**
  * Cloudflare Worker entry point.
- * Routes WebSocket upgrades to GameRoom DO, everything else to static assets.
+ * Routes WebSocket upgrades to GameRoom DO, admin API (auth required) to the
+ * DOs, everything else to static assets.
  */
 
+import { isAdmin, handleLogin, handleLogout, unauthorized } from "./auth.js";
+
 export { GameRoom } from "./room.js";
 export { RoomRegistry } from "./registry.js";
 
+/** Append an entry to the admin audit trail (kept by the RoomRegistry DO) */
+async function recordAudit(env, request, entry) {
+  const regId = env.ROOM_REGISTRY.idFromName("global");
+  const reg = env.ROOM_REGISTRY.get(regId);
+  await reg.fetch(new Request(new URL("/audit", request.url), {
+    method: "POST",
+    body: JSON.stringify({
+      ...entry,
+      ip: request.headers.get("CF-Connecting-IP") || null,
+      userAgent: request.headers.get("User-Agent") || null,
+    }),
+  }));
+}
+
 export default {
   async fetch(request, env) {
     const url = new URL(request.url);
@@ -25,6 +42,19 @@ export default {
       return stub.fetch(request);
     }
 
+    // Admin login / logout (issue or clear the signed session cookie)
+    if (url.pathname === "/api/login" && request.method === "POST") {
+      return handleLogin(request, env);
+    }
+    if (url.pathname === "/api/logout" && request.method === "POST") {
+      return handleLogout();
+    }
+
+    // Every other admin API route requires auth
+    if (url.pathname.startsWith("/api/") && !(await isAdmin(request, env))) {
+      return unauthorized();
+    }
+
     // Admin API: inspect a room's DO state
     if (url.pathname === "/api/room" && request.method === "GET") {
       const roomId = url.searchParams.get("roomId");
@@ -44,6 +74,25 @@ export default {
       return stub.fetch(new Request(inspectUrl, { method: "GET" }));
     }
 
+    // Admin API: a room's action log, and the session replayed to step N
+    // GET /api/room/log?roomId=XXX, GET /api/room/replay?roomId=XXX&step=N
+    if ((url.pathname === "/api/room/log" || url.pathname === "/api/room/replay") && request.method === "GET") {
+      const roomId = url.searchParams.get("roomId");
+      if (!roomId) {
+        return new Response(JSON.stringify({ error: "Missing roomId" }), {
+          status: 400,
+          headers: { "Content-Type": "application/json" },
+        });
+      }
+
+      const id = env.GAME_ROOM.idFromName(roomId);
+      const stub = env.GAME_ROOM.get(id);
+
+      const doUrl = new URL(request.url);
+      doUrl.pathname = url.pathname === "/api/room/log" ? "/log" : "/replay";
+      return stub.fetch(new Request(doUrl, { method: "GET" }));
+    }
+
     // Admin API: destroy a room completely
     if (url.pathname === "/api/room" && request.method === "DELETE") {
       const roomId = url.searchParams.get("roomId");
@@ -57,7 +106,9 @@ export default {
       const id = env.GAME_ROOM.idFromName(roomId);
       const stub = env.GAME_ROOM.get(id);
 
-      return stub.fetch(new Request(new URL("/destroy", request.url), { method: "POST" }));
+      const res = await stub.fetch(new Request(new URL("/destroy", request.url), { method: "POST" }));
+      await recordAudit(env, request, { action: "destroyRoom", roomId, status: res.status });
+      return res;
     }
 
     // Admin API: list all active rooms
@@ -67,6 +118,13 @@ export default {
       return reg.fetch(new Request(new URL("/list", request.url), { method: "GET" }));
     }
 
+    // Admin API: audit trail of destructive admin actions
+    if (url.pathname === "/api/audit" && request.method === "GET") {
+      const regId = env.ROOM_REGISTRY.idFromName("global");
+      const reg = env.ROOM_REGISTRY.get(regId);
+      return reg.fetch(new Request(new URL("/audit", request.url), { method: "GET" }));
+    }
+
     // Admin page
     if (url.pathname === "/admin") {
       return env.ASSETS.fetch(new Request(new URL("/admin.html", url.origin), request));
@@ -0,0 +1,52 @@
+/**
+ * Word normalization for free-text guesses (word steal, see game.js).
+ * A guess matches when both sides normalize to the same string:
+ * - NFKC folds full-width letters, digits and spaces to half-width
+ * - all whitespace is dropped and Latin letters are lower-cased
+ * - traditional characters are mapped to simplified ones
+ *
+ * The traditional → simplified table is not a full converter: it covers the
+ * characters of the built-in word library (words.txt) plus a few common ones.
+ * Extend both strings together when adding words with new characters.
+ */
+
+/* Parallel strings: TRADITIONAL[i] maps to SIMPLIFIED[i] */
+const TRADITIONAL =
+  "丟與兩個臨樂習書買亂爭於親從眾優會傘傳倫價儀體傾黨關興養冊寫決衝淨減鳳擊創劇動勵" +
+  "勞勢華協單賣衛歷曆壓厭參敘疊變號後聽啟響圍國圖圓場堅墜墊牆聲處備復複頭誇妝實審對" +
+  "尋導將爾塵嘗層屜師簾帶乾幹並廣慶庫應開異棄張彎歸當錄憶態懷總惱惡驚憊慣戲擴擾護報" +
+  "擔撥擇損換據擺搖攤斂數斷無舊時曠顯曉暫術機殺雜權桿來傑極構標欄樹樣檔橋夢檳殘氣沒" +
+  "窪測漬滲溫遊濕潰滿濾滯燈靈爐點爍煙熱愛牽狀猶獨貓環現電畫蓋監盜盤確禮離稱積穩筆篩" +
+  "籌簽簡類係繫緊糾紅約級紀縱紙紋線組細終經結繞給絕統繼緒續繩維綠緩編緣縫羅聯腳脫捨" +
+  "艙節榮藥慮虛蟲補裝見觀規視覺觸計訂認討讓議記講訝論設證評識詞試話誕該語誤說諾讀誰" +
+  "調謎謝謬譜負責敗賬質貼貴賦賭賴贏趨蹤車轉輪輕載較輯輸辯邊達邁運還進遠連遲跡適選遞" +
+  "邏遺鄧郵釋鐘鍾針鋼鑰鈕錢鐵鈴銀鋪鏈鎖錯錨鍵鏡長門閃閉問間悶鬧閱隊陽陰階際陳險隨隱" +
+  "難霧頂項順頓預頸頻題顏額風飛飲館饋馬馴驗駿騙鳴鵝齊龍兌則樓皺碼頁過條櫃隻臺檯麵鬆" +
+  "鬥製發髮週採劃餘徵準靜禦犧區裡裏這們説為麼麽";
+const SIMPLIFIED =
+  "丢与两个临乐习书买乱争于亲从众优会伞传伦价仪体倾党关兴养册写决冲净减凤击创剧动励" +
+  "劳势华协单卖卫历历压厌参叙叠变号后听启响围国图圆场坚坠垫墙声处备复复头夸妆实审对" +
+  "寻导将尔尘尝层屉师帘带干干并广庆库应开异弃张弯归当录忆态怀总恼恶惊惫惯戏扩扰护报" +
+  "担拨择损换据摆摇摊敛数断无旧时旷显晓暂术机杀杂权杆来杰极构标栏树样档桥梦槟残气没" +
+  "洼测渍渗温游湿溃满滤滞灯灵炉点烁烟热爱牵状犹独猫环现电画盖监盗盘确礼离称积稳笔筛" +
+  "筹签简类系系紧纠红约级纪纵纸纹线组细终经结绕给绝统继绪续绳维绿缓编缘缝罗联脚脱舍" +
+  "舱节荣药虑虚虫补装见观规视觉触计订认讨让议记讲讶论设证评识词试话诞该语误说诺读谁" +
+  "调谜谢谬谱负责败账质贴贵赋赌赖赢趋踪车转轮轻载较辑输辩边达迈运还进远连迟迹适选递" +
+  "逻遗邓邮释钟钟针钢钥钮钱铁铃银铺链锁错锚键镜长门闪闭问间闷闹阅队阳阴阶际陈险随隐" +
+  "难雾顶项顺顿预颈频题颜额风飞饮馆馈马驯验骏骗鸣鹅齐龙兑则楼皱码页过条柜只台台面松" +
+  "斗制发发周采划余征准静御牺区里里这们说为么么";
+
+const TO_SIMPLIFIED = new Map([...TRADITIONAL].map((ch, i) => [ch, SIMPLIFIED[i]]));
+
+/** Canonical form of a word for comparison */
+export function normalizeWord(text) {
+  return [...String(text ?? "").normalize("NFKC").replace(/\s+/g, "").toLowerCase()]
+    .map((ch) => TO_SIMPLIFIED.get(ch) ?? ch)
+    .join("");
+}
+
+/** Whether `guess` names `word` (empty guesses never match) */
+export function isSameWord(guess, word) {
+  const normalized = normalizeWord(guess);
+  return normalized.length > 0 && normalized === normalizeWord(word);
+}
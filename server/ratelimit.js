@@ -0,0 +1,36 @@
+/**
+ * Token-bucket rate limiter (one bucket per WebSocket).
+ * The bucket holds up to `capacity` tokens and refills continuously at
+ * `refillPerSec`; each message takes one token.
+ */
+
+/**
+ * @param {object} options
+ *   capacity      — burst size (max tokens)
+ *   refillPerSec  — sustained rate
+ *   now           — clock, injectable for tests/replay (default Date.now)
+ * @returns {{ take, tokens }}
+ */
+export function createTokenBucket({ capacity, refillPerSec, now = Date.now }) {
+  let tokens = capacity;
+  let last = now();
+
+  function refill() {
+    const t = now();
+    tokens = Math.min(capacity, tokens + ((t - last) / 1000) * refillPerSec);
+    last = t;
+  }
+
+  /** Take `cost` tokens; returns false (and takes nothing) if not enough */
+  function take(cost = 1) {
+    refill();
+    if (tokens < cost) return false;
+    tokens -= cost;
+    return true;
+  }
+
+  return {
+    take,
+    tokens: () => { refill(); return tokens; },
+  };
+}
@@ -2,15 +2,21 @@
  * RoomRegistry Durable Object — tracks active room IDs.
  * Singleton (always accessed via idFromName("global")).
  * Rooms register on create/join, unregister on cleanup.
+ * Also keeps the admin audit trail (destructive admin actions).
  */
+
+const MAX_AUDIT_ENTRIES = 500;
+
 export class RoomRegistry {
   constructor(state) {
     this.state = state;
     this.rooms = new Map(); // roomId → { phase, players, hostName, updatedAt }
+    this.audit = [];        // [{ at, action, roomId, ip, userAgent, ... }], oldest first
 
     state.blockConcurrencyWhile(async () => {
       const stored = await state.storage.get("rooms");
       if (stored) this.rooms = new Map(Object.entries(stored));
+      this.audit = await state.storage.get("audit") || [];
     });
   }
 
@@ -46,6 +52,22 @@ export class RoomRegistry {
       return new Response("ok");
     }
 
+    if (url.pathname === "/audit" && request.method === "POST") {
+      const entry = await request.json();
+      this.audit.push({ at: Date.now(), ...entry });
+      if (this.audit.length > MAX_AUDIT_ENTRIES) {
+        this.audit = this.audit.slice(-MAX_AUDIT_ENTRIES);
+      }
+      this.state.storage.put("audit", this.audit);
+      return new Response("ok");
+    }
+
+    if (url.pathname === "/audit" && request.method === "GET") {
+      return new Response(JSON.stringify([...this.audit].reverse()), {
+        headers: { "Content-Type": "application/json" },
+      });
+    }
+
     return new Response("Not found", { status: 404 });
   }
 
@@ -0,0 +1,94 @@
+/**
+ * Room action log + deterministic replay.
+ *
+ * room.js turns every state-changing action into a log entry and applies it
+ * through applyAction() — the same path replay uses — so folding a room's log
+ * from the start reproduces its session exactly. Entries are stored in DO
+ * storage under `log:<seq>` (see GameRoom.appendLog).
+ *
+ * Entry: { seq, at, type, playerId, seed, data }
+ *   seq       — 1-based position in the log
+ *   at        — server timestamp (ms); also the clock for time-dependent actions
+ *   type      — action name (a key of REDUCERS)
+ *   playerId  — acting player (for create/join/spectate/addBot: the generated ID;
+ *               null for server-driven timeouts)
+ *   seed      — RNG seed for actions that deal a round, otherwise null
+ *   data      — action-specific arguments
+ */
+
+import * as game from "./game.js";
+
+/** Log entry type → pure game.js transition */
+const REDUCERS = {
+  create: (s, e) => game.handleCreate(e.data.roomId, e.playerId, e.data.name, e.data.capacity, e.data.passcode, e.at),
+  join: (s, e) => game.handleJoin(s, e.playerId, e.data.name),
+  spectate: (s, e) => game.handleSpectate(s, e.playerId, e.data.name),
+  leave: (s, e) => game.handleLeave(s, e.playerId),
+  kick: (s, e) => game.handleKick(s, e.playerId, e.data.targetId),
+  updateConfig: (s, e) => game.handleUpdateConfig(s, e.playerId, e.data.config),
+  setTeam: (s, e) => game.handleSetTeam(s, e.playerId, e.data.targetId, e.data.team),
+  renameTeam: (s, e) => game.handleRenameTeam(s, e.playerId, e.data.team, e.data.name),
+  pickDealer: (s, e) => game.handlePickDealer(s, e.playerId, e.data.targetId),
+  setCustomWords: (s, e) => game.handleSetCustomWords(s, e.playerId, e.data.correct, e.data.wrong, e.data.hostRole),
+  submitWords: (s, e) => game.handleSubmitWords(s, e.playerId, e.data.correct, e.data.wrong),
+  start: (s, e) => game.handleStart(s, e.playerId, e.seed, e.at),
+  addBot: (s, e) => game.handleAddBot(s, e.playerId, e.data.botId, e.data.difficulty),
+  acknowledgeDeal: (s, e) => game.handleAcknowledgeDeal(s, e.playerId),
+  placeCard: (s, e) => game.handlePlaceCard(s, e.playerId),
+  forceContinue: (s, e) => game.handleForceContinue(s, e.playerId, e.at),
+  dealTimeout: (s, e) => game.handleDealTimeout(s, e.at),
+  advancePlay: (s, e) => game.handleAdvancePlay(s, e.playerId, e.at),
+  advanceReveal: (s, e) => game.handleAdvanceReveal(s, e.playerId, e.at),
+  selectVote: (s, e) => game.handleSelectVote(s, e.playerId, e.data.targetId),
+  selectBlankVote: (s, e) => game.handleSelectBlankVote(s, e.playerId, e.data.targetId),
+  selectDealerGuess: (s, e) => game.handleSelectDealerGuess(s, e.playerId, e.data.targetId),
+  confirmVote: (s, e) => game.handleConfirmVote(s, e.playerId, e.at),
+  breakTie: (s, e) => game.handleBreakTie(s, e.playerId, e.data.targetId),
+  voteTimeout: (s, e) => game.handleVoteTimeout(s, e.at),
+  predict: (s, e) => game.handlePredict(s, e.playerId, e.data.targetId),
+  stealWord: (s, e) => game.handleStealWord(s, e.playerId, e.data.guess),
+  advanceResultReveal: (s, e) => game.handleAdvanceResultReveal(s, e.playerId, e.data.all),
+  backToLobby: (s, e) => game.handleBackToLobby(s, e.playerId, e.data.keepScores),
+  startNextRound: (s, e) => game.handleStartNextRound(s, e.playerId, e.seed, e.at),
+};
+
+/** Storage key for log entry `seq` (zero-padded so keys list in order) */
+export function logKey(seq) {
+  return `log:${String(seq).padStart(8, "0")}`;
+}
+
+/**
+ * Apply one log entry to a session.
+ * @returns {{ session } | { error }} result of the underlying handle* function
+ */
+export function applyAction(session, entry) {
+  const reducer = REDUCERS[entry?.type];
+  if (!reducer) return { error: { code: "invalid", message: `Unknown logged action: ${entry?.type}` } };
+  return reducer(session, entry);
+}
+
+/**
+ * Rebuild a session by folding log entries from an empty room.
+ * Entries that fail (should not happen for a log written by room.js) are
+ * skipped and reported, mirroring the live room where a rejected action
+ * leaves the session unchanged.
+ * @param {object[]} entries - Log entries in seq order
+ * @param {number} [step] - Number of entries to apply (default: all)
+ * @returns {{ session: object|null, applied: number, errors: object[] }}
+ */
+export function replayLog(entries, step = entries.length) {
+  let session = null;
+  const errors = [];
+  const upTo = Math.max(0, Math.min(step, entries.length));
+
+  for (const entry of entries.slice(0, upTo)) {
+    const result = applyAction(session, entry);
+    if (result.error) {
+      errors.push({ seq: entry.seq, type: entry.type, ...result.error });
+      continue;
+    }
+    session = result.session;
+  }
+
+  return { session, applied: upTo, errors };
+}
@@ -0,0 +1,100 @@
+/**
+ * Randomness for the server.
+ * - randomSeed() / randomHex(): cryptographically secure (crypto.getRandomValues)
+ * - createRng(seed): deterministic, seedable generator (sfc32) for deals, so a
+ *   round dealt with a stored seed can be reproduced exactly
+ *
+ * All shuffles are unbiased Fisher–Yates; integers use rejection sampling.
+ */
+
+const UINT32_RANGE = 2 ** 32;
+
+/** `bytes` random bytes from the platform CSPRNG, hex-encoded */
+export function randomHex(bytes) {
+  const buf = crypto.getRandomValues(new Uint8Array(bytes));
+  return [...buf].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/** Fresh 128-bit seed for a round */
+export function randomSeed() {
+  return randomHex(16);
+}
+
+/**
+ * Hash an arbitrary seed string into four 32-bit words (cyrb128).
+ * Any string works as a seed; randomSeed() output is just a convenient default.
+ */
+function seedToWords(seed) {
+  const str = String(seed);
+  let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+  for (let i = 0; i < str.length; i++) {
+    const k = str.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+  h1 ^= h2 ^ h3 ^ h4;
+  h2 ^= h1;
+  h3 ^= h1;
+  h4 ^= h1;
+  return [h1 >>> 0, h2 >>> 0, h3 >>> 0, h4 >>> 0];
+}
+
+/**
+ * Create a deterministic generator from a seed.
+ * @param {string} seed
+ * @returns {{ seed, uint32, int, float, shuffle, pick }}
+ */
+export function createRng(seed) {
+  let [a, b, c, d] = seedToWords(seed);
+
+  // sfc32
+  function uint32() {
+    a |= 0; b |= 0; c |= 0; d |= 0;
+    const t = (((a + b) | 0) + d) | 0;
+    d = (d + 1) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    c = (c + t) | 0;
+    return t >>> 0;
+  }
+
+  // Discard the first outputs so similar seeds diverge
+  for (let i = 0; i < 15; i++) uint32();
+
+  /** Uniform integer in [0, n) — rejection sampling, no modulo bias */
+  function int(n) {
+    if (!Number.isInteger(n) || n <= 0) throw new RangeError(`int(n) needs a positive integer, got ${n}`);
+    const limit = UINT32_RANGE - (UINT32_RANGE % n);
+    let x;
+    do { x = uint32(); } while (x >= limit);
+    return x % n;
+  }
+
+  /** Uniform float in [0, 1) */
+  function float() {
+    return uint32() / UINT32_RANGE;
+  }
+
+  /** Fisher–Yates shuffle; returns a new array */
+  function shuffle(arr) {
+    const out = [...arr];
+    for (let i = out.length - 1; i > 0; i--) {
+      const j = int(i + 1);
+      [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
+  }
+
+  function pick(arr) {
+    return arr.length > 0 ? arr[int(arr.length)] : undefined;
+  }
+
+  return { seed, uint32, int, float, shuffle, pick };
+}
@@ -2,20 +2,33 @@
  * GameRoom Durable Object — thin orchestrator.
  * All pure game logic lives in game.js. This file handles:
  * - WebSocket lifecycle (connect, close, ping/pong)
- * - DO persistence (session → storage)
- * - Reconnection (phone-idle revival + name-match takeover)
- * - Cleanup (10-minute inactivity alarm)
+ * - DO persistence (session → storage) + append-only action log (replay.js)
+ * - Per-player redacted state sends (view.js)
+ * - Inbound message validation (schema.js) + per-socket rate limiting
+ * - Reconnection (seat-token rejoin + host-approved seat takeover)
+ * - Alarm: 10-minute inactivity cleanup and the DEAL/PLAY and VOTE time limits
+ *   share the single DO alarm, which is always set to the earliest pending deadline
  */
 
-import {
-  Phase, createSession, generateId,
-  validateConfig, MAX_PLAYERS,
-} from "./session.js";
+import { Phase, generateId, generateSeatToken } from "./session.js";
 
 import * as game from "./game.js";
+import { applyAction, replayLog, logKey } from "./replay.js";
+import { randomSeed } from "./rng.js";
+import { buildPlayerView } from "./view.js";
+import { validateMessage, MAX_MESSAGE_LENGTH } from "./schema.js";
+import { createTokenBucket } from "./ratelimit.js";
 
 const INACTIVITY_MS = 10 * 60 * 1000; // 10 minutes
 const PING_INTERVAL_MS = 3 * 1000;    // 3 seconds (short for dev/debug)
+const MAX_PASSCODE_ATTEMPTS = 5;        // wrong passcodes before lockout
+const PASSCODE_LOCKOUT_MS = 5 * 60 * 1000; // 5 minutes
+
+// Per-socket message rate: bursts of 20, 5/s sustained
+const RATE_LIMIT = { capacity: 20, refillPerSec: 5 };
+// Rejected messages (malformed / rate-limited) a socket may accumulate before
+// being disconnected; one strike is forgiven every 10 seconds.
+const STRIKE_LIMIT = { capacity: 10, refillPerSec: 0.1 };
 
 /* ------------------------------------------------------------------ */
 /*  GameRoom Durable Object                                            */
@@ -27,10 +40,19 @@ export class GameRoom {
     this.session = null;
     this.sockets = new Set();
     this.pingIntervals = new Map(); // ws → intervalId
+    this.seatTokens = new Map();    // playerId → seat token (never sent to other players)
+    this.seatRequests = new Map();  // playerId → ws waiting for host approval to take the seat
+    this.passcodeFailures = new Map(); // client IP → { count, lockedUntil }
+    this.logSeq = 0;                // seq of the last action log entry
+    this.cleanupAt = null;          // when an empty room gets cleared (ms), if no sockets
 
     // Load persisted session on startup
     state.blockConcurrencyWhile(async () => {
       this.session = await state.storage.get("session") || null;
+      this.logSeq = await state.storage.get("logSeq") || 0;
+      this.cleanupAt = await state.storage.get("cleanupAt") || null;
+      const tokens = await state.storage.get("seatTokens");
+      if (tokens) this.seatTokens = new Map(Object.entries(tokens));
     });
   }
 
@@ -44,6 +66,67 @@ export class GameRoom {
       this.state.storage.delete("session");
       this.notifyRegistry("unregister");
     }
+    this.pruneSeatTokens();
+    this.scheduleAlarm();
+  }
+
+  /* ---------- Action log ---------- */
+
+  /**
+   * Apply a state-changing action via replay.applyAction — the exact path a
+   * replay takes — and, if accepted, append it to the action log.
+   * Everything non-deterministic (new IDs, seeds, the clock) must be in the entry.
+   * @returns the handler result ({ session, ... } or { error })
+   */
+  commit(type, playerId, data = {}, seed = null) {
+    const entry = { seq: this.logSeq + 1, at: Date.now(), type, playerId, seed, data };
+    const result = applyAction(this.session, entry);
+    if (result.error) return result;
+    this.session = result.session;
+    this.appendLog(entry);
+    return result;
+  }
+
+  appendLog(entry) {
+    this.logSeq = entry.seq;
+    this.state.storage.put({ [logKey(entry.seq)]: entry, logSeq: entry.seq });
+  }
+
+  async readLog() {
+    const entries = await this.state.storage.list({ prefix: "log:" });
+    return [...entries.values()];
+  }
+
+  /* ---------- Seat tokens ---------- */
+
+  /** Issue a fresh token for a seat, invalidating any previous one */
+  issueSeatToken(playerId) {
+    const token = generateSeatToken();
+    this.seatTokens.set(playerId, token);
+    this.persistSeatTokens();
+    return token;
+  }
+
+  hasValidSeatToken(playerId, token) {
+    const expected = this.seatTokens.get(playerId);
+    return !!expected && typeof token === "string" && token === expected;
+  }
+
+  /** Forget tokens of players (and spectators) who are no longer in the room */
+  pruneSeatTokens() {
+    const players = [...(this.session?.players || []), ...(this.session?.spectators || [])];
+    let changed = false;
+    for (const pid of [...this.seatTokens.keys()]) {
+      if (!players.includes(pid)) {
+        this.seatTokens.delete(pid);
+        changed = true;
+      }
+    }
+    if (changed) this.persistSeatTokens();
+  }
+
+  persistSeatTokens() {
+    this.state.storage.put("seatTokens", Object.fromEntries(this.seatTokens));
   }
 
   /* ---------- Registry ---------- */
@@ -162,6 +245,30 @@ export class GameRoom {
       });
     }
 
+    // HTTP GET /log — the room's full action log (for admin download)
+    if (url.pathname === "/log" && request.method === "GET") {
+      return new Response(JSON.stringify({ roomId: this.session?.id || null, entries: await this.readLog() }), {
+        headers: { "Content-Type": "application/json" },
+      });
+    }
+
+    // HTTP GET /replay?step=N — session rebuilt from the first N log entries
+    if (url.pathname === "/replay" && request.method === "GET") {
+      const entries = await this.readLog();
+      const stepParam = parseInt(url.searchParams.get("step"), 10);
+      const step = Number.isNaN(stepParam) ? entries.length : stepParam;
+      const { session, applied, errors } = replayLog(entries, step);
+      return new Response(JSON.stringify({
+        step: applied,
+        total: entries.length,
+        entry: entries[applied - 1] ?? null,
+        session,
+        errors,
+      }), {
+        headers: { "Content-Type": "application/json" },
+      });
+    }
+
     // POST /destroy — nuke this room completely (admin action)
     if (url.pathname === "/destroy" && request.method === "POST") {
       // Close all connected sockets
@@ -171,13 +278,18 @@ export class GameRoom {
         try { sock.close(1000, "Room destroyed by admin"); } catch {}
       }
       this.sockets.clear();
+      this.seatRequests.clear();
 
       // Unregister from registry before clearing session
       this.notifyRegistry("unregister");
 
-      // Clear session and storage
+      // Clear session and storage (including the action log)
       this.session = null;
+      this.seatTokens.clear();
+      this.logSeq = 0;
+      this.cleanupAt = null;
       await this.state.storage.deleteAll();
+      await this.state.storage.deleteAlarm();
 
       return new Response(JSON.stringify({ ok: true }), {
         headers: { "Content-Type": "application/json" },
@@ -194,7 +306,13 @@ export class GameRoom {
     const [client, server] = Object.values(pair);
 
     server.accept();
-    server._att = { playerId: null, roomId };
+    server._att = {
+      playerId: null,
+      roomId,
+      ip: request.headers.get("CF-Connecting-IP") || null,
+      rateLimit: createTokenBucket(RATE_LIMIT),
+      strikes: createTokenBucket(STRIKE_LIMIT),
+    };
 
     this.sockets.add(server);
     this.startPing(server);
@@ -214,9 +332,16 @@ export class GameRoom {
       this.sockets.delete(server);
     });
 
+    // Room is in use again — cancel any pending inactivity cleanup
+    if (this.cleanupAt) {
+      this.cleanupAt = null;
+      this.state.storage.delete("cleanupAt");
+      this.scheduleAlarm();
+    }
+
     // Always send current state (even null) so client knows immediately
     // whether this room exists or is empty.
-    this.send(server, { type: "state", session: this.session });
+    this.sendState(server);
 
     return new Response(null, { status: 101, webSocket: client });
   }
@@ -224,16 +349,27 @@ export class GameRoom {
   /* ---------- WebSocket message handler ---------- */
 
   handleMessage(ws, message) {
+    const att = ws._att || { playerId: null, roomId: "unknown" };
+
+    if (att.rateLimit && !att.rateLimit.take()) {
+      return this.rejectMessage(ws, "rate_limited", "操作过于频繁，请稍后再试");
+    }
+    if (typeof message !== "string" || message.length > MAX_MESSAGE_LENGTH) {
+      return this.rejectMessage(ws, "invalid_message", "Message too large");
+    }
+
     let data;
-    try { data = JSON.parse(message); } catch { return this.sendError(ws, "invalid", "Bad JSON"); }
+    try { data = JSON.parse(message); } catch { return this.rejectMessage(ws, "invalid_message", "Bad JSON"); }
+
+    const problem = validateMessage(data);
+    if (problem) return this.rejectMessage(ws, "invalid_message", problem);
 
     // Handle pong (keepalive response — track liveness)
     if (data.type === "pong") {
-      if (ws._att) ws._att.lastPong = Date.now();
+      att.lastPong = Date.now();
       return;
     }
 
-    const att = ws._att || { playerId: null, roomId: "unknown" };
     const playerId = att.playerId;
 
     try {
@@ -241,22 +377,35 @@ export class GameRoom {
         case "create":         return this.onCreate(ws, att, data);
         case "join":           return this.onJoin(ws, att, data);
         case "rejoin":         return this.onRejoin(ws, att, data);
+        case "spectate":       return this.onSpectate(ws, att, data);
         case "leave":          return this.onLeave(ws, att);
         case "kick":           return this.onKick(ws, playerId, data);
+        case "approveSeat":    return this.onApproveSeat(ws, playerId, data);
+        case "denySeat":       return this.onDenySeat(ws, playerId, data);
         case "updateConfig":   return this.onUpdateConfig(ws, playerId, data);
+        case "setTeam":        return this.onSetTeam(ws, playerId, data);
+        case "renameTeam":     return this.onRenameTeam(ws, playerId, data);
+        case "pickDealer":     return this.onPickDealer(ws, playerId, data);
+        case "setCustomWords": return this.onSetCustomWords(ws, playerId, data);
+        case "submitWords":    return this.onSubmitWords(ws, playerId, data);
         case "start":          return this.onStart(ws, playerId);
-        case "addBot":         return this.onAddBot(ws, playerId);
+        case "addBot":         return this.onAddBot(ws, playerId, data);
         case "acknowledgeDeal": return this.onAcknowledgeDeal(ws, playerId);
         case "placeCard":       return this.onPlaceCard(ws, playerId);
+        case "forceContinue":   return this.onForceContinue(ws, playerId);
         case "advancePlay":     return this.onAdvancePlay(ws, playerId);
         case "advanceReveal":   return this.onAdvanceReveal(ws, playerId);
         case "selectVote":      return this.onSelectVote(ws, playerId, data);
         case "selectBlankVote": return this.onSelectBlankVote(ws, playerId, data);
+        case "selectDealerGuess": return this.onSelectDealerGuess(ws, playerId, data);
         case "confirmVote":     return this.onConfirmVote(ws, playerId);
+        case "breakTie":        return this.onBreakTie(ws, playerId, data);
+        case "predict":         return this.onPredict(ws, playerId, data);
+        case "stealWord":       return this.onStealWord(ws, playerId, data);
+        case "advanceResultReveal": return this.onAdvanceResultReveal(ws, playerId, data);
         case "backToLobby":     return this.onBackToLobby(ws, playerId, data);
         case "startNextRound":  return this.onStartNextRound(ws, playerId);
         case "nextRound":       return this.onBackToLobby(ws, playerId, data); // Legacy
-        default: return this.sendError(ws, "unknown", `Unknown action: ${data.type}`);
       }
     } catch (err) {
       console.error("GameRoom error:", err);
@@ -268,6 +417,10 @@ export class GameRoom {
 
   handleClose(ws) {
     const att = ws._att || {};
+    if (att.pendingSeat && this.seatRequests.get(att.pendingSeat) === ws) {
+      this.seatRequests.delete(att.pendingSeat);
+      this.sendSeatRequests();
+    }
     if (att.playerId && this.session) {
       // In LOBBY, leaving a socket means the player leaves
       // But only if no other socket is connected for this player
@@ -275,27 +428,48 @@ export class GameRoom {
         const hasOtherSocket = [...this.sockets].some(
           (s) => s._att?.playerId === att.playerId
         );
-        if (!hasOtherSocket) {
-          this.session = game.doLeave(this.session, att.playerId);
+        if (!hasOtherSocket && !this.commit("leave", att.playerId).error) {
           this.persistSession();
           this.broadcast();
         }
       }
       // Mid-game: player stays in session, just loses their socket.
-      // They can reconnect via rejoin or name-match takeover.
+      // They can reconnect via rejoin (seat token) or host-approved takeover.
     }
     this.scheduleCleanup();
   }
 
+  /** One alarm, several deadlines: handle whichever are due, then re-arm */
   async alarm() {
-    if (!this.sockets || this.sockets.size === 0) {
-      console.log(`Room ${this.session?.id || "unknown"} cleanup: no active connections, clearing session`);
-      this.notifyRegistry("unregister");
-      this.session = null;
-      await this.state.storage.deleteAll();
-    } else {
+    const now = Date.now();
+
+    // Phase time limit: DEAL/PLAY → force continue, VOTE → auto-submit selections
+    const deadline = game.getPhaseDeadline(this.session);
+    if (deadline && now >= deadline) {
+      const type = this.session.phase === Phase.VOTE ? "voteTimeout" : "dealTimeout";
+      if (!this.commit(type, null).error) {
+        this.persistSession();
+        this.broadcast();
+      }
+    }
+
+    if (this.cleanupAt && now >= this.cleanupAt) {
+      if (this.sockets.size === 0) {
+        console.log(`Room ${this.session?.id || "unknown"} cleanup: no active connections, clearing session`);
+        this.notifyRegistry("unregister");
+        this.session = null;
+        this.seatTokens.clear();
+        this.logSeq = 0;
+        this.cleanupAt = null;
+        await this.state.storage.deleteAll();
+        return;
+      }
       console.log(`Room ${this.session?.id || "unknown"} alarm: ${this.sockets.size} connections still active`);
+      this.cleanupAt = null;
+      this.state.storage.delete("cleanupAt");
     }
+
+    this.scheduleAlarm();
   }
 
   /* ================================================================ */
@@ -303,22 +477,18 @@ export class GameRoom {
   /* ================================================================ */
 
   onCreate(ws, att, data) {
+    // Recreating a live room would hand its host seat to anyone who knows the ID
+    if (this.session) return this.sendError(ws, "room_exists", "房间号已被占用，请重新创建");
+
     const playerName = (data.playerName || "").trim();
     const capacity = data.capacity || 6;
+    const passcode = (data.passcode || "").trim();
     const pid = generateId();
-    const roomId = att.roomId;
-
-    this.session = createSession(roomId, capacity);
     const name = playerName || `Player ${pid.slice(0, 4)}`;
-    this.session.players = [pid];
-    this.session.playerNames = { [pid]: name };
-    this.session.hostName = name;
-
-    att.playerId = pid;
-    ws._att = att;
 
+    this.commit("create", pid, { roomId: att.roomId, name, capacity, passcode: passcode || null });
     this.persistSession();
-    this.send(ws, { type: "welcome", playerId: pid, roomId });
+    this.seatPlayer(ws, att, pid, this.issueSeatToken(pid));
     this.broadcast();
   }
 
@@ -328,80 +498,187 @@ export class GameRoom {
     const playerName = (data.playerName || "").trim();
     const name = playerName || `Player ${generateId().slice(0, 4)}`;
 
-    // --- Name-match takeover (any phase) ---
-    // If a player with this name already exists, take over their seat
+    // --- Existing seat with this name ---
+    // Takeover needs the seat token; without it, mid-game the host must approve.
     const existingEntry = Object.entries(this.session.playerNames)
       .find(([_, n]) => n.toLowerCase() === name.toLowerCase());
 
     if (existingEntry) {
       const [existingId] = existingEntry;
-      if (this.session.players.includes(existingId)) {
-        // Takeover: close old socket, attach new one to existing playerId
+      if (!this.session.players.includes(existingId)) {
+        return this.sendError(ws, "duplicate_name", "该名字已被使用");
+      }
+      if (this.hasValidSeatToken(existingId, data.seatToken)) {
         this.closeOldSocket(existingId, ws);
-        att.playerId = existingId;
-        ws._att = att;
-        this.send(ws, { type: "welcome", playerId: existingId, roomId: this.session.id });
+        this.seatPlayer(ws, att, existingId, data.seatToken);
         this.broadcast();
         return;
       }
+      if (this.session.phase === Phase.LOBBY || existingId.startsWith("bot-")) {
+        return this.sendError(ws, "duplicate_name", "该名字已被使用");
+      }
+      if (!this.checkPasscode(ws, att, data.passcode)) return;
+      return this.requestSeat(ws, att, existingId);
     }
 
     // --- Normal new-player join (LOBBY only) ---
-    if (this.session.phase !== Phase.LOBBY) return this.sendError(ws, "invalid", "该名字不在房间中，无法加入进行中的游戏");
-
-    const capacity = this.session.config?.capacity || MAX_PLAYERS;
-    if (this.session.players.length >= capacity) return this.sendError(ws, "full", "房间已满");
-
-    // Use client-provided playerId if reconnecting, else generate new
-    let pid = data.playerId || generateId();
+    if (this.session.phase !== Phase.LOBBY) return this.sendError(ws, "invalid", "该名字不在房间中，无法加入进行中的游戏，可以选择观战");
 
-    // If already in room by ID, just re-attach
-    if (this.session.players.includes(pid)) {
+    // Re-attach by playerId (e.g. after renaming on the join screen) — token required
+    const pid = data.playerId;
+    if (pid && this.session.players.includes(pid) && this.hasValidSeatToken(pid, data.seatToken)) {
       this.closeOldSocket(pid, ws);
-      att.playerId = pid;
-      ws._att = att;
-      this.send(ws, { type: "welcome", playerId: pid, roomId: this.session.id });
+      this.seatPlayer(ws, att, pid, data.seatToken);
       this.broadcast();
       return;
     }
 
-    // Name already taken was handled above (takeover), so if we get here with
-    // a duplicate name it means the name exists but the player is not in the
-    // players array (shouldn't happen, but guard anyway)
-    if (existingEntry) {
-      return this.sendError(ws, "duplicate_name", "该名字已被使用");
-    }
-
-    this.session.players.push(pid);
-    this.session.playerNames[pid] = name;
+    if (!this.checkPasscode(ws, att, data.passcode)) return;
 
-    att.playerId = pid;
-    ws._att = att;
+    const newId = generateId();
+    const result = this.commit("join", newId, { name });
+    if (result.error) return this.sendError(ws, result.error.code, result.error.message);
 
     this.persistSession();
-    this.send(ws, { type: "welcome", playerId: pid, roomId: this.session.id });
+    this.seatPlayer(ws, att, newId, this.issueSeatToken(newId));
     this.broadcast();
   }
 
   onRejoin(ws, att, data) {
     const pid = data.playerId;
     if (!pid || !this.session) return this.sendError(ws, "not_found", "房间不存在");
-    if (!this.session.players.includes(pid)) return this.sendError(ws, "not_found", "玩家不在房间中");
+    if (!this.session.players.includes(pid) && !game.isSpectator(this.session, pid)) {
+      return this.sendError(ws, "not_found", "玩家不在房间中");
+    }
+    if (!this.hasValidSeatToken(pid, data.seatToken)) return this.sendError(ws, "bad_token", "座位凭证无效，请重新加入");
 
     // Close any old socket for this player
     this.closeOldSocket(pid, ws);
 
+    this.seatPlayer(ws, att, pid, data.seatToken);
+    this.sendState(ws);
+  }
+
+  /** Join as a spectator — any phase, no seat/capacity, passcode still applies */
+  onSpectate(ws, att, data) {
+    if (!this.session) return this.sendError(ws, "not_found", "房间不存在");
+    if (!this.checkPasscode(ws, att, data.passcode)) return;
+
+    const spectatorId = generateId();
+    const name = (data.playerName || "").trim() || `观众 ${spectatorId.slice(0, 4)}`;
+    const result = this.commit("spectate", spectatorId, { name });
+    if (result.error) return this.sendError(ws, result.error.code, result.error.message);
+
+    this.persistSession();
+    this.seatPlayer(ws, att, spectatorId, this.issueSeatToken(spectatorId));
+    this.broadcast();
+  }
+
+  /**
+   * Check the room passcode for a join attempt (seat-token holders skip this).
+   * Wrong attempts are counted per client IP; too many locks that IP out.
+   * Sends the error itself and returns false if the join must not proceed.
+   */
+  checkPasscode(ws, att, passcode) {
+    if (!this.session.passcode) return true;
+
+    const key = att.ip || ws;
+    const now = Date.now();
+    const record = this.passcodeFailures.get(key) || { count: 0, lockedUntil: 0 };
+    if (record.lockedUntil > now) {
+      const minutes = Math.ceil((record.lockedUntil - now) / 60000);
+      this.sendError(ws, "locked", `密码错误次数过多，请 ${minutes} 分钟后再试`);
+      return false;
+    }
+
+    if (typeof passcode === "string" && passcode.trim() === this.session.passcode) {
+      this.passcodeFailures.delete(key);
+      return true;
+    }
+
+    record.count += 1;
+    if (record.count >= MAX_PASSCODE_ATTEMPTS) {
+      this.passcodeFailures.set(key, { count: 0, lockedUntil: now + PASSCODE_LOCKOUT_MS });
+      this.sendError(ws, "locked", `密码错误次数过多，请 ${PASSCODE_LOCKOUT_MS / 60000} 分钟后再试`);
+    } else {
+      this.passcodeFailures.set(key, record);
+      this.sendError(ws, "bad_passcode", `房间密码错误 (还可尝试 ${MAX_PASSCODE_ATTEMPTS - record.count} 次)`);
+    }
+    return false;
+  }
+
+  /** Attach a socket to a seat and tell the client its playerId + seat token */
+  seatPlayer(ws, att, pid, seatToken) {
     att.playerId = pid;
+    delete att.pendingSeat;
     ws._att = att;
+    this.send(ws, { type: "welcome", playerId: pid, roomId: this.session.id, seatToken });
+    if (game.isHost(this.session, pid)) this.sendSeatRequests();
+  }
+
+  /* ---------- Seat takeover requests (lost token) ---------- */
+
+  requestSeat(ws, att, targetId) {
+    const previous = this.seatRequests.get(targetId);
+    if (previous && previous !== ws) {
+      this.sendError(previous, "seat_denied", "有其他人请求了同一座位");
+      delete previous._att?.pendingSeat;
+    }
+    att.pendingSeat = targetId;
+    ws._att = att;
+    this.seatRequests.set(targetId, ws);
+    this.sendError(ws, "seat_pending", "该座位已有人，已请求房主批准");
+    this.sendSeatRequests();
+  }
+
+  onApproveSeat(ws, playerId, data) {
+    if (!this.session) return;
+    if (!game.isHost(this.session, playerId)) return this.sendError(ws, "not_host", "只有房主可以批准");
+    const targetId = data.targetId;
+    const requester = this.seatRequests.get(targetId);
+    this.seatRequests.delete(targetId);
+    if (!requester || !this.sockets.has(requester) || !this.session.players.includes(targetId)) {
+      this.sendSeatRequests();
+      return this.sendError(ws, "invalid", "请求已失效");
+    }
+
+    // Approval resets the seat: the old token (and its socket) stop working
+    this.closeOldSocket(targetId, requester);
+    this.seatPlayer(requester, requester._att, targetId, this.issueSeatToken(targetId));
+    this.sendSeatRequests();
+    this.broadcast();
+  }
+
+  onDenySeat(ws, playerId, data) {
+    if (!this.session) return;
+    if (!game.isHost(this.session, playerId)) return this.sendError(ws, "not_host", "只有房主可以拒绝");
+    const requester = this.seatRequests.get(data.targetId);
+    this.seatRequests.delete(data.targetId);
+    if (requester) {
+      delete requester._att?.pendingSeat;
+      this.sendError(requester, "seat_denied", "房主拒绝了你的请求");
+    }
+    this.sendSeatRequests();
+  }
 
-    this.send(ws, { type: "welcome", playerId: pid, roomId: this.session.id });
-    this.send(ws, { type: "state", session: this.session });
+  /** Push the pending takeover requests to the host's socket(s) */
+  sendSeatRequests() {
+    if (!this.session) return;
+    const requests = [...this.seatRequests.keys()].map((pid) => ({
+      playerId: pid,
+      name: this.session.playerNames[pid] ?? pid,
+    }));
+    for (const sock of this.sockets) {
+      if (game.isHost(this.session, sock._att?.playerId)) {
+        this.send(sock, { type: "seatRequests", requests });
+      }
+    }
   }
 
   onLeave(ws, att) {
     if (!att.playerId || !this.session) return;
-    if (this.session.phase === Phase.LOBBY) {
-      this.session = game.doLeave(this.session, att.playerId);
+    // Players can only leave in LOBBY; spectators hold no seat, so any time
+    if (!this.commit("leave", att.playerId).error) {
       this.persistSession();
       this.broadcast();
     }
@@ -409,10 +686,9 @@ export class GameRoom {
   }
 
   onKick(ws, playerId, data) {
-    if (!this.session || this.session.phase !== Phase.LOBBY) return this.sendError(ws, "invalid", "只能在大厅中踢人");
-    if (!game.isHost(this.session, playerId)) return this.sendError(ws, "not_host", "只有房主可以踢人");
     const targetId = data.targetId;
-    if (!targetId || !this.session.players.includes(targetId)) return;
+    const result = this.commit("kick", playerId, { targetId });
+    if (result.error) return this.sendError(ws, result.error.code, result.error.message);
 
     // Notify and disconnect the kicked player
     for (const sock of this.sockets) {
@@ -424,13 +700,12 @@ export class GameRoom {
       }
     }
 
-    this.session = game.doLeave(this.session, targetId);
     this.persistSession();
     this.broadcast();
   }
 
   onUpdateConfig(ws, playerId, data) {
-    const result = game.handleUpdateConfig(this.session, playerId, data.config);
+    const result = this.commit("updateConfig", playerId, { config: data.config });
     if (result.error) return this.sendError(ws, result.error.code, result.error.message);
 
     // Kick excess players if capacity was reduced
@@ -447,113 +722,165 @@ export class GameRoom {
       }
     }
 
-    this.session = result.session;
     this.persistSession();
     this.broadcast();
   }
 
-  onStart(ws, playerId) {
-    if (!this.session || this.session.phase !== Phase.LOBBY) {
-      return this.sendError(ws, "invalid", "只能在大厅中开始游戏");
-    }
-    if (!game.isHost(this.session, playerId)) {
-      return this.sendError(ws, "not_host", "只有房主可以开始游戏");
-    }
+  onSetTeam(ws, playerId, data) {
+    const result = this.commit("setTeam", playerId, { targetId: data.targetId, team: data.team });
+    if (result.error) return this.sendError(ws, result.error.code, result.error.message);
+    this.persistSession();
+    this.broadcast();
+  }
 
-    const count = this.session.players.length;
-    const config = this.session.config;
-    if (count !== config.capacity) {
-      return this.sendError(ws, "invalid", `需要 ${config.capacity} 名玩家 (当前: ${count})`);
-    }
-    const validation = validateConfig(config);
-    if (!validation.valid) {
-      return this.sendError(ws, "invalid_config", validation.errors.join("; "));
-    }
+  onRenameTeam(ws, playerId, data) {
+    const result = this.commit("renameTeam", playerId, { team: data.team, name: data.name });
+    if (result.error) return this.sendError(ws, result.error.code, result.error.message);
+    this.persistSession();
+    this.broadcast();
+  }
 
-    const result = game.doStartGame(this.session);
+  onPickDealer(ws, playerId, data) {
+    const result = this.commit("pickDealer", playerId, { targetId: data.targetId });
     if (result.error) return this.sendError(ws, result.error.code, result.error.message);
+    this.persistSession();
+    this.broadcast();
+  }
 
-    this.session = result.session;
+  onSetCustomWords(ws, playerId, data) {
+    const result = this.commit("setCustomWords", playerId, {
+      correct: data.correct ?? "",
+      wrong: data.wrong ?? [],
+      hostRole: data.hostRole ?? "dealer",
+    });
+    if (result.error) return this.sendError(ws, result.error.code, result.error.message);
     this.persistSession();
     this.broadcast();
   }
 
-  onAddBot(ws, playerId) {
-    const result = game.handleAddBot(this.session, playerId);
+  onSubmitWords(ws, playerId, data) {
+    const result = this.commit("submitWords", playerId, { correct: data.correct ?? "", wrong: data.wrong ?? [] });
+    if (result.error) return this.sendError(ws, result.error.code, result.error.message);
+    this.persistSession();
+    this.broadcast();
+  }
+
+  onStart(ws, playerId) {
+    const result = this.commit("start", playerId, {}, randomSeed());
+    if (result.error) return this.sendError(ws, result.error.code, result.error.message);
+    this.persistSession();
+    this.broadcast();
+  }
+
+  onAddBot(ws, playerId, data) {
+    const result = this.commit("addBot", playerId, { botId: game.generateBotId(), difficulty: data.difficulty ?? "random" });
     if (result.error) return this.sendError(ws, result.error.code, result.error.message);
-    this.session = result.session;
     this.persistSession();
     this.broadcast();
   }
 
   onAcknowledgeDeal(ws, playerId) {
-    const result = game.handleAcknowledgeDeal(this.session, playerId);
+    const result = this.commit("acknowledgeDeal", playerId);
     if (result.error) return;
-    this.session = result.session;
     this.persistSession();
     this.broadcast();
   }
 
   onPlaceCard(ws, playerId) {
-    const result = game.handlePlaceCard(this.session, playerId);
+    const result = this.commit("placeCard", playerId);
     if (result.error) return;
-    this.session = result.session;
+    this.persistSession();
+    this.broadcast();
+  }
+
+  onForceContinue(ws, playerId) {
+    const result = this.commit("forceContinue", playerId);
+    if (result.error) return this.sendError(ws, result.error.code, result.error.message);
     this.persistSession();
     this.broadcast();
   }
 
   onAdvancePlay(ws, playerId) {
-    const result = game.handleAdvancePlay(this.session, playerId);
+    const result = this.commit("advancePlay", playerId);
     if (result.error) return this.sendError(ws, result.error.code, result.error.message);
-    this.session = result.session;
     this.persistSession();
     this.broadcast();
   }
 
   onAdvanceReveal(ws, playerId) {
-    const result = game.handleAdvanceReveal(this.session, playerId);
+    const result = this.commit("advanceReveal", playerId);
     if (result.error) return this.sendError(ws, result.error.code, result.error.message);
-    this.session = result.session;
     this.persistSession();
     this.broadcast();
   }
 
   onSelectVote(ws, playerId, data) {
-    const result = game.handleSelectVote(this.session, playerId, data.targetId);
+    const result = this.commit("selectVote", playerId, { targetId: data.targetId });
     if (result.error) return;
-    this.session = result.session;
     // Send only to this player (local-only, not broadcast)
-    this.send(ws, { type: "state", session: this.session });
+    this.sendState(ws);
   }
 
   onSelectBlankVote(ws, playerId, data) {
-    const result = game.handleSelectBlankVote(this.session, playerId, data.targetId);
+    const result = this.commit("selectBlankVote", playerId, { targetId: data.targetId });
     if (result.error) return;
-    this.session = result.session;
     // Send only to this player (local-only, not broadcast)
-    this.send(ws, { type: "state", session: this.session });
+    this.sendState(ws);
+  }
+
+  onSelectDealerGuess(ws, playerId, data) {
+    const result = this.commit("selectDealerGuess", playerId, { targetId: data.targetId });
+    if (result.error) return;
+    // Send only to this player (local-only, not broadcast)
+    this.sendState(ws);
   }
 
   onConfirmVote(ws, playerId) {
-    const result = game.handleConfirmVote(this.session, playerId);
+    const result = this.commit("confirmVote", playerId);
     if (result.error) return;
-    this.session = result.session;
+    this.persistSession();
+    this.broadcast();
+  }
+
+  onAdvanceResultReveal(ws, playerId, data) {
+    const result = this.commit("advanceResultReveal", playerId, { all: !!data.all });
+    if (result.error) return this.sendError(ws, result.error.code, result.error.message);
+    this.persistSession();
+    this.broadcast();
+  }
+
+  onBreakTie(ws, playerId, data) {
+    const result = this.commit("breakTie", playerId, { targetId: data.targetId });
+    if (result.error) return this.sendError(ws, result.error.code, result.error.message);
+    this.persistSession();
+    this.broadcast();
+  }
+
+  onPredict(ws, playerId, data) {
+    const result = this.commit("predict", playerId, { targetId: data.targetId });
+    if (result.error) return;
+    this.persistSession();
+    // Predictions stay private until RESULT — only the spectator needs the update
+    this.sendState(ws);
+  }
+
+  onStealWord(ws, playerId, data) {
+    const result = this.commit("stealWord", playerId, { guess: data.guess });
+    if (result.error) return this.sendError(ws, result.error.code, result.error.message);
     this.persistSession();
     this.broadcast();
   }
 
   onBackToLobby(ws, playerId, data) {
-    const result = game.handleBackToLobby(this.session, playerId, data?.keepScores);
+    const result = this.commit("backToLobby", playerId, { keepScores: !!data?.keepScores });
     if (result.error) return this.sendError(ws, result.error.code, result.error.message);
-    this.session = result.session;
     this.persistSession();
     this.broadcast();
   }
 
   onStartNextRound(ws, playerId) {
-    const result = game.handleStartNextRound(this.session, playerId);
+    const result = this.commit("startNextRound", playerId, {}, randomSeed());
     if (result.error) return this.sendError(ws, result.error.code, result.error.message);
-    this.session = result.session;
     this.persistSession();
     this.broadcast();
   }
@@ -562,14 +889,21 @@ export class GameRoom {
   /*  Internal helpers                                                 */
   /* ================================================================ */
 
+  /** Send every socket its own redacted view of the session */
   broadcast() {
     if (!this.session) return;
-    const msg = JSON.stringify({ type: "state", session: this.session });
     for (const ws of this.sockets) {
-      try { ws.send(msg); } catch {}
+      this.sendState(ws);
     }
   }
 
+  /** Send one socket the session as seen by its player (see view.js) */
+  sendState(ws) {
+    const playerId = ws._att?.playerId ?? null;
+    // serverTime lets clients correct for clock skew in countdowns (voteDeadline)
+    this.send(ws, { type: "state", session: buildPlayerView(this.session, playerId), serverTime: Date.now() });
+  }
+
   send(ws, data) {
     try { ws.send(JSON.stringify(data)); } catch {}
   }
@@ -578,9 +912,39 @@ export class GameRoom {
     this.send(ws, { type: "error", code, message });
   }
 
+  /**
+   * Reject a malformed or rate-limited message with a structured error.
+   * Each rejection is a strike; a socket that runs out of strikes is closed.
+   */
+  rejectMessage(ws, code, message) {
+    this.sendError(ws, code, message);
+    if (ws._att?.strikes && !ws._att.strikes.take()) {
+      console.warn(`Room ${this.session?.id || "unknown"}: closing misbehaving socket (${code})`);
+      this.stopPing(ws);
+      this.sockets.delete(ws);
+      try { ws.close(1008, "Too many invalid messages"); } catch {}
+    }
+  }
+
   scheduleCleanup() {
     if (this.sockets.size === 0) {
-      this.state.storage.setAlarm(Date.now() + INACTIVITY_MS);
+      this.cleanupAt = Date.now() + INACTIVITY_MS;
+      this.state.storage.put("cleanupAt", this.cleanupAt);
+      this.scheduleAlarm();
+    }
+  }
+
+  /** Point the DO alarm at the earliest pending deadline (or clear it) */
+  scheduleAlarm() {
+    const deadlines = [];
+    if (this.cleanupAt) deadlines.push(this.cleanupAt);
+    const phaseDeadline = game.getPhaseDeadline(this.session);
+    if (phaseDeadline) deadlines.push(phaseDeadline);
+
+    if (deadlines.length > 0) {
+      this.state.storage.setAlarm(Math.min(...deadlines));
+    } else {
+      this.state.storage.deleteAlarm();
     }
   }
 }
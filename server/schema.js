@@ -0,0 +1,189 @@
+/**
+ * Declarative schemas for every inbound WebSocket message.
+ * room.js validates each message against MESSAGE_SCHEMAS before dispatching,
+ * so handlers (and the persisted session) only ever see well-typed data.
+ *
+ * Field spec: { type, optional?, min?, max?, maxLength?, values?, schema?, items?, maxItems? }
+ *   type: "string" | "integer" | "boolean" | "object" | "array"
+ *   schema: nested field specs for type "object" (unknown keys rejected)
+ *   items: field spec every element of an "array" must match
+ */
+
+import {
+  MIN_PLAYERS, MAX_PLAYERS, MAX_DEALERS, MAX_TEAMS, DEFAULT_SCORING,
+  MAX_CUSTOM_WRONG_WORDS, MAX_CUSTOM_WORD_LENGTH, DEALER_ROTATIONS, BOT_DIFFICULTIES,
+} from "./session.js";
+
+export const MAX_MESSAGE_LENGTH = 4096; // raw JSON characters
+
+const PLAYER_NAME = { type: "string", maxLength: 20, optional: true };
+const PLAYER_ID = { type: "string", maxLength: 32 };
+const SEAT_TOKEN = { type: "string", maxLength: 64 };
+const PASSCODE = { type: "string", maxLength: 20, optional: true };
+const ROLE_COUNT = { type: "integer", min: 0, max: MAX_PLAYERS, optional: true };
+const FLAG = { type: "boolean", optional: true };
+const TEAM_INDEX = { type: "integer", min: 0, max: MAX_TEAMS - 1 };
+const CUSTOM_WORD = { type: "string", maxLength: MAX_CUSTOM_WORD_LENGTH };
+
+/** Every scoring rule is a small non-negative integer */
+const SCORING_SCHEMA = Object.fromEntries(
+  Object.keys(DEFAULT_SCORING).map((key) => [key, { type: "integer", min: 0, max: 10, optional: true }])
+);
+
+/** Allowed room config keys (partial updates are merged into session.config) */
+export const CONFIG_SCHEMA = {
+  capacity: { type: "integer", min: MIN_PLAYERS, max: MAX_PLAYERS, optional: true },
+  dealerCount: { type: "integer", min: 0, max: MAX_DEALERS, optional: true },
+  civilianCount: ROLE_COUNT,
+  undercoverCount: ROLE_COUNT,
+  blankCount: ROLE_COUNT,
+  dealerRotation: { type: "string", values: DEALER_ROTATIONS, optional: true },
+  differentUndercoverWords: FLAG,
+  dealerVoteCount: { type: "integer", min: 1, max: 5, optional: true },
+  dealerCanVoteBlank: FLAG,
+  playerCanVoteBlank: FLAG,
+  gameMode: { type: "string", values: ["classic", "elimination"], optional: true },
+  revealCountdown: { type: "integer", min: 5, max: 60, optional: true },
+  voteTimeLimit: { type: "integer", min: 0, max: 300, optional: true },
+  dealTimeLimit: { type: "integer", min: 0, max: 600, optional: true },
+  afkRule: { type: "string", values: ["normal", "zero", "penalty"], optional: true },
+  matchMode: { type: "string", values: ["off", "rounds", "score"], optional: true },
+  matchTarget: { type: "integer", min: 1, max: 100, optional: true },
+  teamCount: { type: "integer", min: 0, max: MAX_TEAMS, optional: true },
+  balanceTeamRoles: FLAG,
+  balanceRoles: FLAG,
+  wordSteal: { type: "string", values: ["off", "undercover", "all"], optional: true },
+  tieBreak: { type: "string", values: ["none", "runoff", "dealer", "random"], optional: true },
+  openVoting: FLAG,
+  stagedReveal: FLAG,
+  autoRoles: FLAG,
+  roleOverrides: { type: "object", schema: { undercover: ROLE_COUNT, blank: ROLE_COUNT }, optional: true },
+  scoring: { type: "object", schema: SCORING_SCHEMA, optional: true },
+};
+
+export const MESSAGE_SCHEMAS = {
+  pong: {},
+  create: {
+    playerName: PLAYER_NAME,
+    capacity: { type: "integer", min: MIN_PLAYERS, max: MAX_PLAYERS, optional: true },
+    passcode: PASSCODE,
+  },
+  join: {
+    playerName: PLAYER_NAME,
+    playerId: { ...PLAYER_ID, optional: true },
+    seatToken: { ...SEAT_TOKEN, optional: true },
+    passcode: PASSCODE,
+  },
+  rejoin: { playerId: PLAYER_ID, seatToken: SEAT_TOKEN },
+  spectate: { playerName: PLAYER_NAME, passcode: PASSCODE },
+  leave: {},
+  kick: { targetId: PLAYER_ID },
+  approveSeat: { targetId: PLAYER_ID },
+  denySeat: { targetId: PLAYER_ID },
+  updateConfig: { config: { type: "object", schema: CONFIG_SCHEMA } },
+  setTeam: { targetId: PLAYER_ID, team: TEAM_INDEX },
+  renameTeam: { team: TEAM_INDEX, name: { type: "string", maxLength: 12 } },
+  pickDealer: { targetId: PLAYER_ID },
+  setCustomWords: {
+    correct: { ...CUSTOM_WORD, optional: true }, // omitted/empty: clear the custom words
+    wrong: { type: "array", items: CUSTOM_WORD, maxItems: MAX_CUSTOM_WRONG_WORDS, optional: true },
+    hostRole: { type: "string", values: ["dealer", "moderator"], optional: true },
+  },
+  submitWords: { // omitted/empty correct: withdraw the submission
+    correct: { ...CUSTOM_WORD, optional: true },
+    wrong: { type: "array", items: CUSTOM_WORD, maxItems: MAX_CUSTOM_WRONG_WORDS, optional: true },
+  },
+  start: {},
+  addBot: { difficulty: { type: "string", values: BOT_DIFFICULTIES, optional: true } },
+  acknowledgeDeal: {},
+  placeCard: {},
+  forceContinue: {},
+  advancePlay: {},
+  advanceReveal: {},
+  selectVote: { targetId: PLAYER_ID },
+  selectBlankVote: { targetId: PLAYER_ID },
+  selectDealerGuess: { targetId: PLAYER_ID },
+  confirmVote: {},
+  breakTie: { targetId: PLAYER_ID },
+  predict: { targetId: PLAYER_ID },
+  stealWord: { guess: { type: "string", maxLength: 20 } },
+  advanceResultReveal: { all: FLAG },
+  backToLobby: { keepScores: FLAG },
+  startNextRound: {},
+  nextRound: { keepScores: FLAG }, // Legacy alias of backToLobby
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Validate an object against a field-spec map.
+ * @returns {string|null} error message, or null if valid
+ */
+function validateFields(obj, schema, path = "") {
+  for (const key of Object.keys(obj)) {
+    if (!(key in schema)) return `Unknown field: ${path}${key}`;
+  }
+
+  for (const [key, spec] of Object.entries(schema)) {
+    const value = obj[key];
+    const name = path + key;
+
+    if (value === undefined || value === null) {
+      if (spec.optional) continue;
+      return `Missing field: ${name}`;
+    }
+
+    const error = validateValue(value, spec, name);
+    if (error) return error;
+  }
+
+  return null;
+}
+
+/** Check one present value against its field spec */
+function validateValue(value, spec, name) {
+  switch (spec.type) {
+    case "string":
+      if (typeof value !== "string") return `${name} must be a string`;
+      if (spec.maxLength != null && value.length > spec.maxLength) return `${name} is too long (max ${spec.maxLength})`;
+      if (spec.values && !spec.values.includes(value)) return `${name} must be one of: ${spec.values.join(", ")}`;
+      return null;
+    case "integer":
+      if (!Number.isInteger(value)) return `${name} must be an integer`;
+      if (spec.min != null && value < spec.min) return `${name} must be >= ${spec.min}`;
+      if (spec.max != null && value > spec.max) return `${name} must be <= ${spec.max}`;
+      return null;
+    case "boolean":
+      if (typeof value !== "boolean") return `${name} must be a boolean`;
+      return null;
+    case "object":
+      if (!isPlainObject(value)) return `${name} must be an object`;
+      return validateFields(value, spec.schema, `${name}.`);
+    case "array":
+      if (!Array.isArray(value)) return `${name} must be an array`;
+      if (spec.maxItems != null && value.length > spec.maxItems) return `${name} has too many items (max ${spec.maxItems})`;
+      for (let i = 0; i < value.length; i++) {
+        const error = validateValue(value[i], spec.items, `${name}[${i}]`);
+        if (error) return error;
+      }
+      return null;
+    default:
+      return `Unsupported schema type for ${name}`;
+  }
+}
+
+/**
+ * Validate a parsed inbound message.
+ * @param {*} data - Parsed JSON
+ * @returns {string|null} error message, or null if valid
+ */
+export function validateMessage(data) {
+  if (!isPlainObject(data)) return "Message must be a JSON object";
+  const { type, ...fields } = data;
+  if (typeof type !== "string" || !Object.hasOwn(MESSAGE_SCHEMAS, type)) {
+    return `Unknown action: ${String(type).slice(0, 32)}`;
+  }
+  return validateFields(fields, MESSAGE_SCHEMAS[type]);
+}
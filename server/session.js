@@ -3,13 +3,17 @@
  * UI is fully derived from session.phase + playerId + assignments[playerId]
  */
 
+import { randomHex } from "./rng.js";
+
 export const Phase = {
   LOBBY: "LOBBY",
   DEAL: "DEAL",
   PLAY: "PLAY",
   REVEAL: "REVEAL",
   VOTE: "VOTE",
+  STEAL: "STEAL",
   RESULT: "RESULT",
+  FINAL: "FINAL",
 };
 
 const PHASE_ORDER = [
@@ -18,7 +22,9 @@ const PHASE_ORDER = [
   Phase.PLAY,
   Phase.REVEAL,
   Phase.VOTE,
+  Phase.STEAL,
   Phase.RESULT,
+  Phase.FINAL,
 ];
 
 /** Role types for the game */
@@ -43,6 +49,14 @@ export const DEFAULT_SCORING = {
   dealerCorrectBlank: 3,         // 庄家选对白板，庄家得分
   playerCorrectBlank: 1,         // 玩家选对白板，投票者得分
   blankEscape: 3,                // 白板逃脱，白板得分
+  spectatorCorrectUndercover: 1, // 观众猜中卧底，观众得分
+  afkPenalty: 1,                 // 挂机扣分 (afkRule = "penalty")
+  civilianTeamWin: 1,            // 淘汰模式平民胜利，每位平民得分
+  undercoverTeamWin: 3,          // 淘汰模式卧底胜利，每位卧底/白板得分
+  undercoverWordSteal: 3,        // 卧底猜中平民词，卧底得分
+  blankWordSteal: 3,             // 白板猜中平民词，白板得分
+  dealerGuessCivilian: 1,        // 庄家猜测命中平民（每人），庄家得分
+  dealerGuessAllCivilians: 2,    // 庄家猜测恰好为全部平民，庄家额外得分
 };
 
 /** Generate default room configuration for given capacity */
@@ -56,23 +70,45 @@ export function getDefaultConfig(capacity = 6, dealerCount = 1) {
     civilianCount,
     undercoverCount,
     blankCount,
-    dealerRotation: false,
+    dealerRotation: "random", // Who deals next: one of DEALER_ROTATIONS (see getDealerRotation)
     differentUndercoverWords: false,
     dealerVoteCount: DEFAULT_DEALER_VOTES,
     dealerCanVoteBlank: false,
     playerCanVoteBlank: false,
+    gameMode: "classic",    // "classic" (one vote, scored) | "elimination" (vote out until a side wins)
     revealCountdown: 15,
+    voteTimeLimit: 0,       // VOTE time limit in seconds (0 = no limit)
+    dealTimeLimit: 0,       // DEAL+PLAY time limit in seconds (0 = no limit)
+    afkRule: "zero",        // How AFK players score: "normal" | "zero" | "penalty"
+    matchMode: "off",       // Match end: "off" (endless) | "rounds" | "score"
+    matchTarget: 5,         // Rounds to play ("rounds") or points to reach ("score")
+    teamCount: 0,           // Team mode: 0 (off) or 2–4 teams
+    balanceTeamRoles: false, // Team mode: spread undercover/blank roles fairly across teams
+    balanceRoles: false,    // Weight undercover/blank seats toward players who have had them least
+    wordSteal: "off",       // Word steal after VOTE: "off" | "undercover" | "all" (undercovers + blanks)
+    tieBreak: "none",       // Tie for the most votes: "none" | "runoff" | "dealer" | "random"
+    openVoting: false,      // Confirmed votes are shown to everyone live during VOTE
+    stagedReveal: false,    // RESULT is revealed step by step by the host (see getRevealSteps)
+    autoRoles: false,       // Role counts follow the player count (see getAutoRoleCounts); start below capacity
+    roleOverrides: {},      // autoRoles: fixed { undercover?, blank? } counts instead of the table's
     scoring: { ...DEFAULT_SCORING },
   };
 }
 
-/** Validate room configuration */
-export function validateConfig(config) {
+/**
+ * Validate room configuration.
+ * With config.autoRoles the role counts are checked as they would be dealt to
+ * `playerCount` players (default: a full room).
+ */
+export function validateConfig(config, playerCount = config.capacity) {
   const errors = [];
-  const { capacity, dealerCount, civilianCount, undercoverCount, blankCount } = config;
+  const { capacity } = config;
+  const { dealerCount, civilianCount, undercoverCount, blankCount } = config.autoRoles
+    ? getAutoRoleCounts(config, playerCount)
+    : config;
 
-  if (dealerCount < 0 || dealerCount > 1) {
-    errors.push("庄家数量必须是0或1");
+  if (dealerCount < 0 || dealerCount > MAX_DEALERS) {
+    errors.push(`庄家数量必须是0-${MAX_DEALERS}`);
   }
   if (civilianCount < 1) {
     errors.push("平民数量至少为1");
@@ -84,21 +120,40 @@ export function validateConfig(config) {
     errors.push("白板数量不能为负");
   }
 
+  if (config.gameMode === "elimination") {
+    if (dealerCount !== 0) {
+      errors.push("淘汰模式不设庄家");
+    }
+    if (undercoverCount + blankCount < 1) {
+      errors.push("淘汰模式至少需要1名卧底或白板");
+    } else if (civilianCount <= undercoverCount + blankCount) {
+      errors.push("淘汰模式平民数量必须多于卧底和白板");
+    }
+  }
+
+  const teamCount = config.teamCount ?? 0;
+  if (teamCount === 1 || teamCount > MAX_TEAMS) {
+    errors.push(`队伍数量必须是0或2-${MAX_TEAMS}`);
+  } else if (teamCount > capacity) {
+    errors.push("队伍数量不能超过房间容量");
+  }
+
   const sum = dealerCount + civilianCount + undercoverCount + blankCount;
-  if (sum !== capacity) {
+  if (!config.autoRoles && sum !== capacity) {
     errors.push(`角色总数(${sum})必须等于房间容量(${capacity})`);
   }
 
   return { valid: errors.length === 0, errors };
 }
 
-export function createSession(id = generateId(), capacity = 6) {
+export function createSession(id = generateId(), capacity = 6, createdAt = Date.now()) {
   return {
     id,
     phase: Phase.LOBBY,
     players: [],
     playerNames: {},        // Map<PlayerID, string> - display names
     hostName: null,         // The host's display name (unique, immutable once set)
+    passcode: null,         // Optional room passcode (never sent to clients, see view.js)
     dealerVotes: DEFAULT_DEALER_VOTES,   // how many picks the dealer gets
     playerVotes: DEFAULT_PLAYER_VOTES,   // how many picks regular players get
 
@@ -110,6 +165,7 @@ export function createSession(id = generateId(), capacity = 6) {
       correct: "",          // Civilian word
       wrong: [],            // Array of wrong words for undercover
       groupIndex: -1,       // Track which word group was used
+      submittedBy: null,    // PlayerID whose pool submission was dealt (credited at RESULT)
     },
     usedWordGroups: [],     // Track used groups to avoid repeats
 
@@ -117,23 +173,57 @@ export function createSession(id = generateId(), capacity = 6) {
     roles: {},              // Map<PlayerID, Role>
     assignments: {},        // Map<PlayerID, string> - actual word shown
 
-    dealerId: null,
+    dealerId: null,         // Lead dealer (dealerIds[0]) - advances phases
+    dealerIds: [],          // All dealers this round (config.dealerCount)
+    moderatorId: null,      // Player sitting out a round whose words they know, to run it (no role, word or vote)
+    customWords: null,      // LOBBY: host-entered words for the next deal { correct, wrong, hostRole } (view.js: host only)
+    wordPool: {},           // LOBBY: Map<PlayerID, { correct, wrong }> - submitted groups, drawn one per round (view.js: own only)
     ready: {},              // DEAL: word seen
     cardPlaced: {},         // DEAL: card placed (after word seen)
     voteSelection: {},      // VOTE: pre-confirm Map<PlayerID, PlayerID[]>
     votes: {},              // VOTE: confirmed Map<PlayerID, PlayerID[]>
     blankVoteSelection: {}, // VOTE: blank vote pre-confirm Map<PlayerID, PlayerID>
     blankVotes: {},         // VOTE: blank vote confirmed Map<PlayerID, PlayerID>
-    dealerGuess: null,
+    dealerGuessSelection: {}, // VOTE: dealer guess pre-confirm Map<DealerID, PlayerID[]>
+    dealerGuesses: {},      // VOTE: confirmed Map<DealerID, PlayerID[]> - who each dealer thinks the civilians are
+    runoff: null,           // VOTE: tie-break in progress { method, tied, tally, votes | deciderId }
+    mostVoted: null,        // Classic RESULT: { playerId, tied, tally, tieBreak } - the most-voted player
+    revealStep: null,       // RESULT with config.stagedReveal: reveal steps shown so far (see getRevealSteps)
     revealStartTime: null,
+    dealDeadline: null,     // DEAL/PLAY: server timestamp (ms) when the round is forced on
+    afk: [],                // PlayerIDs flagged AFK this round (forced past DEAL/PLAY)
+    voteDeadline: null,     // VOTE: server timestamp (ms) when votes are auto-submitted
+    abstained: [],          // VOTE: PlayerIDs who had nothing selected at the deadline
+    eliminated: [],         // Elimination mode: PlayerIDs voted out this round (they watch, not vote)
+    eliminations: [],       // Elimination mode: one entry per vote { eliminatedId, tied, tally }
+    outcome: null,          // Elimination mode RESULT: "civilians" | "undercovers"
+    stealers: [],           // STEAL: PlayerIDs who may guess the civilian word (view.js: own entry only)
+    wordSteals: {},         // STEAL: Map<PlayerID, { guess, correct }> - "" guess = passed
+    roundSeed: null,        // RNG seed the current round was dealt with (see rng.js)
+
+    // Spectators (not seated: no capacity slot, no role, no vote)
+    spectators: [],         // Array of spectator IDs
+    spectatorNames: {},     // Map<SpectatorID, string>
+    predictions: {},        // VOTE: Map<SpectatorID, PlayerID> - guessed undercover
+    spectatorScores: {},    // Map<SpectatorID, number> - cumulative prediction scores
 
     // Dealer rotation support
     roundNumber: 0,
-    dealerHistory: [],      // Array of past dealer PlayerIDs
+    dealerHistory: [],      // Array of past dealer PlayerIDs (kept across lobby returns that keep scores)
+    dealerPicks: [],        // LOBBY, dealerRotation "manual": PlayerIDs the host picked to deal next
 
     // Scoring
     totalScores: {},        // Map<PlayerID, number> - cumulative scores across rounds
-    createdAt: Date.now(),  // Room creation timestamp
+    roundHistory: [],       // Per finished round: { roundNumber, scores, totals }
+    matchResult: null,      // FINAL: { winners, standings, tiebreak }
+    // Team mode (config.teamCount > 0)
+    teams: {},              // Map<PlayerID, number> - team index
+    teamNames: [...DEFAULT_TEAM_NAMES],
+    teamRoleHistory: {},    // Map<teamIndex, Map<Role, number>> - roles dealt so far (balanceTeamRoles)
+    roleHistory: {},        // Map<PlayerID, Map<Role, number>> - roles dealt so far (balanceRoles)
+    botDifficulty: {},      // Map<BotID, string> - strategy per bot (BOT_DIFFICULTIES)
+
+    createdAt,              // Room creation timestamp
   };
 }
 
@@ -151,12 +241,118 @@ export function getPlayerName(session, playerId) {
   return session.playerNames?.[playerId] ?? playerId?.slice(0, 8) ?? "?";
 }
 
+/** Random ID (9 base-36 chars) from the CSPRNG — player IDs double as credentials */
 export function generateId() {
-  return Math.random().toString(36).slice(2, 11);
+  let id = "";
+  while (id.length < 9) {
+    for (const b of crypto.getRandomValues(new Uint8Array(9))) {
+      // 252 = 7 × 36: drop higher bytes so every character is equally likely
+      if (b < 252 && id.length < 9) id += (b % 36).toString(36);
+    }
+  }
+  return id;
+}
+
+/**
+ * Unguessable seat token (128 bits, hex) proving ownership of a seat.
+ * Issued in the "welcome" message; required for rejoin and takeover.
+ */
+export function generateSeatToken() {
+  return randomHex(16);
 }
 
 export const MIN_PLAYERS = 4;
 export const MAX_PLAYERS = 12;
+export const MAX_DEALERS = 3;
+
+/** Team mode: 2–4 teams, renamable by the host */
+export const MAX_TEAMS = 4;
+export const DEFAULT_TEAM_NAMES = ["红队", "蓝队", "绿队", "黄队"];
+
+/**
+ * How the dealers of the next round are chosen (config.dealerRotation):
+ * - "random": any human players
+ * - "seat": the next players in seat order after the last dealer
+ * - "fewest": whoever has dealt least often (seat order breaks ties)
+ * - "cycle": random, but nobody deals twice before everyone has dealt once
+ * - "score": the lowest total scores (seat order breaks ties)
+ * - "manual": the host picks in the lobby (dealerPicks); seat order fills the rest
+ */
+export const DEALER_ROTATIONS = ["random", "seat", "fewest", "cycle", "score", "manual"];
+
+/** config.dealerRotation, reading the old boolean toggle (true: seat order) */
+export function getDealerRotation(config) {
+  const rotation = config?.dealerRotation;
+  if (rotation === true) return "seat";
+  return DEALER_ROTATIONS.includes(rotation) ? rotation : "random";
+}
+
+/**
+ * Recommended split of the non-dealer seats (config.autoRoles), by seat count.
+ * From 3 seats up, civilians outnumber undercovers and blanks together. The
+ * 1- and 2-seat splits only come up in classic mode with dealers: elimination
+ * has no dealers, so it always has at least MIN_PLAYERS seats (validateConfig
+ * would refuse a smaller split there anyway).
+ */
+export const RECOMMENDED_ROLE_SPLITS = {
+  1: { civilian: 1, undercover: 0, blank: 0 },
+  2: { civilian: 1, undercover: 1, blank: 0 },
+  3: { civilian: 2, undercover: 1, blank: 0 },
+  4: { civilian: 3, undercover: 1, blank: 0 },
+  5: { civilian: 4, undercover: 1, blank: 0 },
+  6: { civilian: 4, undercover: 1, blank: 1 },
+  7: { civilian: 5, undercover: 1, blank: 1 },
+  8: { civilian: 5, undercover: 2, blank: 1 },
+  9: { civilian: 6, undercover: 2, blank: 1 },
+  10: { civilian: 7, undercover: 2, blank: 1 },
+  11: { civilian: 7, undercover: 3, blank: 1 },
+  12: { civilian: 8, undercover: 3, blank: 1 },
+};
+
+/**
+ * Role counts for `playerCount` players under config.autoRoles: the dealers
+ * as configured, then RECOMMENDED_ROLE_SPLITS for the remaining seats, with
+ * config.roleOverrides replacing the undercover/blank counts. Civilians take
+ * the rest.
+ */
+export function getAutoRoleCounts(config, playerCount) {
+  const dealerCount = Math.min(config.dealerCount || 0, playerCount);
+  const seats = playerCount - dealerCount;
+  const split = RECOMMENDED_ROLE_SPLITS[Math.min(Math.max(seats, 1), MAX_PLAYERS)];
+  const undercoverCount = config.roleOverrides?.undercover ?? split.undercover;
+  const blankCount = config.roleOverrides?.blank ?? split.blank;
+  return { dealerCount, civilianCount: seats - undercoverCount - blankCount, undercoverCount, blankCount };
+}
+
+/** The config a round with `playerCount` players is dealt with (role counts resolved for autoRoles) */
+export function resolveRoleCounts(config, playerCount) {
+  return config.autoRoles ? { ...config, ...getAutoRoleCounts(config, playerCount) } : config;
+}
+
+/** Bot strategies for addBot (see server/bots.js): random, heuristic, perfect information */
+export const BOT_DIFFICULTIES = ["random", "heuristic", "cheat"];
+
+/** Host-entered custom words: one correct word plus 1–4 wrong words */
+export const MAX_CUSTOM_WRONG_WORDS = 4;
+export const MAX_CUSTOM_WORD_LENGTH = 12;
+
+/**
+ * Staged RESULT reveal (config.stagedReveal): one step per seated player's
+ * role (seat order; dealers and the moderator are already known), then the
+ * words, the votes and the scores. session.revealStep counts the steps shown
+ * so far (null: everything is shown at once).
+ */
+export function getRevealSteps(session) {
+  const dealerIds = session.dealerIds ?? (session.dealerId ? [session.dealerId] : []);
+  const seated = session.players.filter((p) => !dealerIds.includes(p) && p !== session.moderatorId);
+  return [...seated.map((p) => `role:${p}`), "words", "votes", "scores"];
+}
+
+/** Whether a reveal step ("role:<id>", "words", "votes" or "scores") has been shown */
+export function isRevealStepShown(session, step) {
+  if (session.revealStep == null) return true;
+  return getRevealSteps(session).indexOf(step) < session.revealStep;
+}
 
 export function getPlayerAssignment(session, playerId) {
   return session.assignments[playerId] ?? null;
@@ -0,0 +1,188 @@
+/**
+ * Per-player session views.
+ * The full session never leaves the DO over WebSocket: every socket gets a
+ * copy redacted to what its own player is allowed to know in the current
+ * phase. Sockets that have not joined yet (playerId = null) get the public view.
+ * The room passcode is never included, only whether one is set; the same goes
+ * for the host's custom words, which only the host gets back. Of the word pool
+ * each player gets their own submission and the pool size.
+ */
+
+import { Phase, Role, getRevealSteps, isRevealStepShown } from "./session.js";
+
+/** Phases in which the correct word has been shown to everyone */
+const WORD_REVEALED_PHASES = [Phase.REVEAL, Phase.VOTE, Phase.RESULT];
+
+/** Phases in which open voting (config.openVoting) shows confirmed votes to everyone */
+const OPEN_VOTE_PHASES = [Phase.VOTE, Phase.STEAL];
+
+/**
+ * Keep only the viewer's own entry of a Map<PlayerID, *>.
+ * @param {object} map
+ * @param {string|null} playerId
+ */
+function ownEntry(map, playerId) {
+  if (!map || !playerId || !(playerId in map)) return {};
+  return { [playerId]: map[playerId] };
+}
+
+/**
+ * Build the session view for a single player.
+ * - DEAL → STEAL: own word only, no roles, no other players' selections/votes
+ *   or spectators' predictions,
+ *   no round seed (it would let a client recompute the whole deal)
+ * - REVEAL / VOTE: correct word is public (it is shown on the REVEAL screen),
+ *   except in elimination mode or with word steal on, where it stays hidden
+ *   until RESULT
+ * - VOTE tie-break: the tie (players and counts) is public, runoff votes are own only
+ * - VOTE / STEAL with config.openVoting: confirmed votes, blank votes and
+ *   runoff votes are public; pending selections and dealer guesses stay own only
+ * - STEAL: a stealer sees only that they are one, and their own guess
+ * - RESULT with a staged reveal in progress: only the steps the host has
+ *   shown so far (see buildStagedResultView)
+ * - RESULT / FINAL: everything is revealed
+ * - A custom-words moderator sees the words all round (they entered them)
+ * - roleHistory and teamRoleHistory leave out this round's roles until they are revealed
+ * @param {object|null} session - Full authoritative session
+ * @param {string|null} playerId - Viewer (null for not-yet-joined sockets)
+ * @returns {object|null}
+ */
+export function buildPlayerView(session, playerId) {
+  if (!session) return null;
+
+  const { passcode, customWords, wordPool, ...publicSession } = session;
+  const viewerIsHost = !!playerId && session.players.includes(playerId) && session.playerNames?.[playerId] === session.hostName;
+  const base = {
+    ...publicSession,
+    hasPasscode: !!passcode,
+    hasCustomWords: !!customWords,
+    customWords: viewerIsHost ? customWords ?? null : null,
+    wordPool: ownEntry(wordPool, playerId),
+    wordPoolSize: Object.keys(wordPool || {}).length,
+  };
+  const viewerId = session.players.includes(playerId) ? playerId : null;
+  const spectatorId = (session.spectators || []).includes(playerId) ? playerId : null;
+  if (session.phase === Phase.RESULT && session.revealStep != null
+    && session.revealStep < getRevealSteps(session).length) {
+    return buildStagedResultView(session, base, viewerId, spectatorId);
+  }
+  if (session.phase === Phase.RESULT || session.phase === Phase.FINAL) return base;
+
+  const openVotes = !!session.config?.openVoting && OPEN_VOTE_PHASES.includes(session.phase);
+  const wordRevealed = WORD_REVEALED_PHASES.includes(session.phase) && isWordPublic(session);
+
+  return {
+    ...base,
+    roles: {},
+    roleHistory: withoutHiddenRoles(session, session.roleHistory, {}),
+    teamRoleHistory: withoutHiddenRoles(session, session.teamRoleHistory, {}, (p) => session.teams?.[p]),
+    assignments: ownEntry(session.assignments, viewerId),
+    words: viewerId && viewerId === session.moderatorId ? session.words : {
+      correct: wordRevealed ? session.words.correct : "",
+      wrong: [],
+      groupIndex: -1,
+    },
+    usedWordGroups: [],
+    voteSelection: ownEntry(session.voteSelection, viewerId),
+    votes: openVotes ? session.votes : ownEntry(session.votes, viewerId),
+    blankVoteSelection: ownEntry(session.blankVoteSelection, viewerId),
+    blankVotes: openVotes ? session.blankVotes : ownEntry(session.blankVotes, viewerId),
+    dealerGuessSelection: ownEntry(session.dealerGuessSelection, viewerId),
+    dealerGuesses: ownEntry(session.dealerGuesses, viewerId),
+    runoff: session.runoff?.votes && !openVotes
+      ? { ...session.runoff, votes: ownEntry(session.runoff.votes, viewerId) }
+      : session.runoff ?? null,
+    mostVoted: null,
+    predictions: ownEntry(session.predictions, spectatorId),
+    stealers: (session.stealers || []).includes(viewerId) ? [viewerId] : [],
+    wordSteals: ownEntry(session.wordSteals, viewerId),
+    roundSeed: null,
+  };
+}
+
+/**
+ * Whether the correct word is shown to everyone at REVEAL.
+ * Elimination mode never reveals the word mid-round: it is what the players are guessing.
+ * Neither does word steal, or undercovers would just copy it in STEAL.
+ */
+function isWordPublic(session) {
+  return session.config?.gameMode !== "elimination" && (session.config?.wordSteal ?? "off") === "off";
+}
+
+/**
+ * RESULT while the host is still stepping through a staged reveal:
+ * - roles: the dealers plus each player whose role step has been shown (the
+ *   player and team role histories count only those)
+ * - words and everyone's assigned word: from the "words" step (before that, own
+ *   word only, plus the correct word if it was already public at REVEAL)
+ * - votes, blank votes, dealer guesses (and the selections behind them), word
+ *   steals, spectator predictions, the most-voted player and the round's final
+ *   elimination: from the "votes" step (own entries before that)
+ * - the elimination outcome: from the "scores" step
+ * The round seed stays hidden until the reveal is complete.
+ */
+function buildStagedResultView(session, base, viewerId, spectatorId) {
+  const shown = (step) => isRevealStepShown(session, step);
+  const wordsShown = shown("words") || (!!viewerId && viewerId === session.moderatorId);
+  const votesShown = shown("votes");
+  const ownOr = (map, id) => (votesShown ? map : ownEntry(map, id));
+  const roles = Object.fromEntries(
+    Object.entries(session.roles || {}).filter(([p, role]) => role === Role.DEALER || shown(`role:${p}`))
+  );
+
+  return {
+    ...base,
+    roles,
+    roleHistory: withoutHiddenRoles(session, session.roleHistory, roles),
+    teamRoleHistory: withoutHiddenRoles(session, session.teamRoleHistory, roles, (p) => session.teams?.[p]),
+    assignments: wordsShown ? session.assignments : ownEntry(session.assignments, viewerId),
+    words: wordsShown ? session.words : {
+      correct: isWordPublic(session) ? session.words.correct : "",
+      wrong: [],
+      groupIndex: -1,
+    },
+    usedWordGroups: [],
+    voteSelection: ownOr(session.voteSelection, viewerId),
+    votes: ownOr(session.votes, viewerId),
+    blankVoteSelection: ownOr(session.blankVoteSelection, viewerId),
+    blankVotes: ownOr(session.blankVotes, viewerId),
+    dealerGuessSelection: ownOr(session.dealerGuessSelection, viewerId),
+    dealerGuesses: ownOr(session.dealerGuesses, viewerId),
+    mostVoted: votesShown ? session.mostVoted : null,
+    ...(votesShown || !session.eliminations?.length ? {} : withoutLastElimination(session)),
+    predictions: ownOr(session.predictions, spectatorId),
+    stealers: votesShown ? session.stealers : [],
+    wordSteals: ownOr(session.wordSteals, viewerId),
+    outcome: shown("scores") ? session.outcome : null,
+    roundSeed: null,
+  };
+}
+
+/** Elimination mode: the vote that ended the round is the last entry of session.eliminations */
+function withoutLastElimination(session) {
+  const eliminations = session.eliminations.slice(0, -1);
+  const lastId = session.eliminations.at(-1).eliminatedId;
+  return {
+    eliminations,
+    eliminated: (session.eliminated || []).filter((p) => p !== lastId),
+  };
+}
+
+/**
+ * session.roleHistory and session.teamRoleHistory already count the current
+ * round's roles (they are added when the round is dealt); take back every
+ * non-dealer role not in `shownRoles`. `keyOf` maps a player to their entry
+ * in `roleHistory` (the player for roleHistory, their team for teamRoleHistory).
+ */
+function withoutHiddenRoles(session, roleHistory, shownRoles, keyOf = (p) => p) {
+  const history = {};
+  for (const [key, counts] of Object.entries(roleHistory || {})) history[key] = { ...counts };
+  for (const [pid, role] of Object.entries(session.roles || {})) {
+    const key = keyOf(pid);
+    if (role === Role.DEALER || pid in shownRoles || !history[key]?.[role]) continue;
+    // Drop emptied counts: a zero left behind would still name the role
+    if (--history[key][role] === 0) delete history[key][role];
+    if (Object.keys(history[key]).length === 0) delete history[key];
+  }
+  return history;
+}
@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildPlayerView } from "./view.js";
+import { Phase, Role, createSession, getRevealSteps } from "./session.js";
+
+/** A finished 6-player round (one dealer), waiting at the first staged reveal step */
+function stagedResultSession(overrides = {}) {
+  const session = createSession("R", 6, 0);
+  const players = ["d", "p1", "p2", "p3", "p4", "p5"];
+  return {
+    ...session,
+    ...overrides,
+    phase: Phase.RESULT,
+    players,
+    config: { ...session.config, stagedReveal: true, ...overrides.config },
+    dealerId: "d",
+    dealerIds: ["d"],
+    roles: { d: Role.DEALER, p1: Role.CIVILIAN, p2: Role.CIVILIAN, p3: Role.CIVILIAN, p4: Role.UNDERCOVER, p5: Role.BLANK },
+    voteSelection: { d: ["p1", "p2", "p3"], p1: ["p4"], p2: ["p4"], p3: ["p5"], p4: ["p1"], p5: ["p2"] },
+    votes: { d: ["p1", "p2", "p3"], p1: ["p4"], p2: ["p4"], p3: ["p5"], p4: ["p1"], p5: ["p2"] },
+    blankVoteSelection: { p1: "p5", p4: "p3" },
+    blankVotes: { p1: "p5", p4: "p3" },
+    dealerGuessSelection: { d: ["p1", "p2", "p3"] },
+    dealerGuesses: { d: ["p1", "p2", "p3"] },
+    mostVoted: { playerId: "p4", tied: [], tally: { p4: 2, p1: 2 }, tieBreak: null },
+    spectators: ["s"],
+    predictions: { s: "p4" },
+    revealStep: 0,
+  };
+}
+
+const OWN_ONLY_FIELDS = [
+  "voteSelection", "votes",
+  "blankVoteSelection", "blankVotes",
+  "dealerGuessSelection", "dealerGuesses",
+  "wordSteals",
+];
+
+function ownOnly(map, playerId) {
+  return playerId in (map || {}) ? { [playerId]: map[playerId] } : {};
+}
+
+test("staged reveal hides every vote-derived field until the votes step", () => {
+  const full = stagedResultSession();
+  const steps = getRevealSteps(full);
+  const votesAt = steps.indexOf("votes");
+
+  for (let revealStep = 0; revealStep <= steps.length; revealStep++) {
+    const session = { ...full, revealStep };
+    const votesShown = revealStep > votesAt;
+    for (const viewer of ["d", "p1", "p4"]) {
+      const view = buildPlayerView(session, viewer);
+      for (const field of OWN_ONLY_FIELDS) {
+        const expected = votesShown ? session[field] : ownOnly(session[field], viewer);
+        assert.deepEqual(view[field], expected, `${field} for ${viewer} at step ${revealStep}`);
+      }
+      assert.deepEqual(view.mostVoted, votesShown ? session.mostVoted : null, `mostVoted at step ${revealStep}`);
+      assert.deepEqual(view.predictions, votesShown ? session.predictions : {}, `predictions at step ${revealStep}`);
+    }
+    assert.deepEqual(buildPlayerView(session, "s").predictions, session.predictions, "a spectator keeps their own prediction");
+  }
+});
+
+test("staged reveal holds back the final elimination until the votes step", () => {
+  const full = stagedResultSession({
+    config: { gameMode: "elimination" },
+    eliminated: ["p2", "p4"],
+    eliminations: [
+      { eliminatedId: "p2", tied: [], tally: { p2: 3 } },
+      { eliminatedId: "p4", tied: [], tally: { p4: 3 } },
+    ],
+    outcome: "civilians",
+  });
+  const votesAt = getRevealSteps(full).indexOf("votes");
+
+  const hidden = buildPlayerView({ ...full, revealStep: votesAt }, "p1");
+  assert.deepEqual(hidden.eliminated, ["p2"]);
+  assert.deepEqual(hidden.eliminations, full.eliminations.slice(0, 1));
+  assert.equal(hidden.outcome, null);
+
+  const shown = buildPlayerView({ ...full, revealStep: votesAt + 1 }, "p1");
+  assert.deepEqual(shown.eliminated, full.eliminated);
+  assert.deepEqual(shown.eliminations, full.eliminations);
+});
@@ -51,9 +51,10 @@ export function getWordGroups() {
  * Select a random word group, preferring unused ones
  * Randomly picks one word as "correct" (civilian), rest become "wrong" (undercover)
  * @param {number[]} usedGroupIds - IDs of recently used groups (from words.txt groupId column)
+ * @param {object} rng - Seeded generator from rng.js
  * @returns {{ groupIndex: number, correct: string, wrong: string[] }}
  */
-export function selectWordGroup(usedGroupIds = []) {
+export function selectWordGroup(usedGroupIds = [], rng) {
   const groups = getWordGroups();
 
   if (groups.length === 0) {
@@ -72,11 +73,11 @@ export function selectWordGroup(usedGroupIds = []) {
   const pool = available.length > 0 ? available : groups;
 
   // Random selection of group
-  const selected = pool[Math.floor(Math.random() * pool.length)];
+  const selected = rng.pick(pool);
 
   // Combine all words from the group, then randomly pick one as "correct"
   const allWords = [selected.correct, ...selected.wrong];
-  const shuffled = [...allWords].sort(() => Math.random() - 0.5);
+  const shuffled = rng.shuffle(allWords);
   const correctWord = shuffled[0];
   const wrongWords = shuffled.slice(1);
 
@@ -94,21 +95,22 @@ export function selectWordGroup(usedGroupIds = []) {
  * @param {string[]} wrongWords - Available wrong words from the group
  * @param {number} count - Number of undercover players
  * @param {boolean} differentWords - Whether each undercover sees a different word
+ * @param {object} rng - Seeded generator from rng.js
  * @returns {string[]} Array of words to assign to each undercover
  */
-export function getUndercoverWords(wrongWords, count, differentWords) {
+export function getUndercoverWords(wrongWords, count, differentWords, rng) {
   if (count === 0) return [];
   if (!wrongWords || wrongWords.length === 0) return Array(count).fill("???");
 
   if (!differentWords) {
     // All undercover see the same wrong word (randomly chosen)
-    const word = wrongWords[Math.floor(Math.random() * wrongWords.length)];
+    const word = rng.pick(wrongWords);
     return Array(count).fill(word);
   }
 
   // Each undercover sees a potentially different wrong word
   // Shuffle and cycle through if needed
-  const shuffled = [...wrongWords].sort(() => Math.random() - 0.5);
+  const shuffled = rng.shuffle(wrongWords);
   const result = [];
   for (let i = 0; i < count; i++) {
     result.push(shuffled[i % shuffled.length]);